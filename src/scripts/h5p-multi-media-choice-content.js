@@ -1,7 +1,10 @@
 /* eslint-disable import/no-unresolved */
 import * as Masonry from 'masonry-layout';
 import { MultiMediaChoiceOption } from './h5p-multi-media-choice-option.js';
-import { createElement } from './h5p-multi-media-choice-util.js';
+import { createElement, Util } from './h5p-multi-media-choice-util.js';
+import { getScoringStrategy, getMaxWeight } from './h5p-multi-media-choice-scoring.js';
+import { migrateState } from './h5p-multi-media-choice-xapi.js';
+import { createModal, fitFrameToModal } from './h5p-multi-media-choice-modal.js';
 
 import placeholder1to1 from '../../assets/placeholder1to1.svg?raw';
 import placeholder3to2 from '../../assets/placeholder3to2.svg?raw';
@@ -15,6 +18,10 @@ import placeholderVideo1to1 from '../../assets/placeholderVideo1to1.svg?raw';
 import placeholderVideo3to2 from '../../assets/placeholderVideo3to2.svg?raw';
 import placeholderVideo4to3 from '../../assets/placeholderVideo4to3.svg?raw';
 import placeholderVideo16to9 from '../../assets/placeholderVideo16to9.svg?raw';
+import placeholderOther1to1 from '../../assets/placeholderOther1to1.svg?raw';
+import placeholderOther3to2 from '../../assets/placeholderOther3to2.svg?raw';
+import placeholderOther4to3 from '../../assets/placeholderOther4to3.svg?raw';
+import placeholderOther16to9 from '../../assets/placeholderOther16to9.svg?raw';
 
 const PLACEHOLDERS = {
   '1to1': placeholder1to1,
@@ -29,10 +36,17 @@ const PLACEHOLDERS = {
   video3to2: placeholderVideo3to2,
   video4to3: placeholderVideo4to3,
   video16to9: placeholderVideo16to9,
+  other1to1: placeholderOther1to1,
+  other3to2: placeholderOther3to2,
+  other4to3: placeholderOther4to3,
+  other16to9: placeholderOther16to9,
 };
 
-const optionMinWidth = 210;
-const columnGap = 20;
+/** Width of the images in the list layout, $list-thumbnail-size in the styles */
+const LIST_THUMBNAIL_WIDTH = 80;
+
+/** Keys toggling the first ten options when keyboard shortcuts are enabled */
+const SHORTCUT_KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'];
 
 /** Class representing the content */
 export default class MultiMediaChoiceContent {
@@ -42,15 +56,38 @@ export default class MultiMediaChoiceContent {
    * @param {number} contentId Content's id.
    * @param {object} [callbacks = {}] Callbacks.
    * @param {string} assetsFilePath File path to the assets folder
-   * @param {number[]} answerState Previous answers given (when resuming)
+   * @param {object} [previousState] Previous state (when resuming)
    */
-  constructor(params = {}, contentId, callbacks = {}, answerState) {
+  constructor(params = {}, contentId, callbacks = {}, previousState) {
     this.params = params;
     this.contentId = contentId;
     this.callbacks = callbacks;
     this.callbacks.triggerResize = this.callbacks.triggerResize || (() => {});
     this.callbacks.triggerInteracted = this.callbacks.triggerInteracted || (() => {});
+    this.callbacks.read = this.callbacks.read || (() => {});
+    this.callbacks.onSelectionsChanged = this.callbacks.onSelectionsChanged || (() => {});
+    this.callbacks.onMediaProgressed = this.callbacks.onMediaProgressed || (() => {});
+    this.callbacks.onMediaCompleted = this.callbacks.onMediaCompleted || (() => {});
+    this.callbacks.onVideoModalOpened = this.callbacks.onVideoModalOpened || (() => {});
+    this.callbacks.onVideoModalClosed = this.callbacks.onVideoModalClosed || (() => {});
+    this.callbacks.onCheckShortcut = this.callbacks.onCheckShortcut || (() => {});
     this.maxAlternativesPerRow = this.params.behaviour.maxAlternativesPerRow;
+    this.optionMinWidth = Math.max(1, this.params.behaviour.minOptionWidth);
+    this.columnGap = Math.max(0, this.params.behaviour.optionGap);
+    this.columnBreakpoints = (this.params.behaviour.columnBreakpoints || []).filter(
+      (breakpoint) => typeof breakpoint?.minWidth === 'number' && breakpoint.maxColumns > 0,
+    );
+    this.layout = this.params.behaviour.layout;
+    this.isWeighted = this.params.behaviour.scoringMode === 'weighted';
+
+    // With weighted scoring, options that give points are the correct ones
+    if (this.isWeighted && params.options) {
+      params.options.forEach((option) => {
+        if (typeof option.points === 'number') {
+          option.correct = option.points > 0;
+        }
+      });
+    }
 
     this.numberOfCorrectOptions = params.options
       ? params.options.filter((option) => option.correct).length
@@ -62,7 +99,10 @@ export default class MultiMediaChoiceContent {
 
     this.aspectRatio = this.params.behaviour.aspectRatio;
 
+    this.scoringStrategy = getScoringStrategy(this.params.behaviour.scoringMode);
+
     this.lastSelectedRadioButtonOption = null;
+    this.columns = 1;
 
     this.content = createElement({ type: 'div', classList: ['h5p-multi-media-choice-content'] });
 
@@ -93,38 +133,232 @@ export default class MultiMediaChoiceContent {
 
     // Build n options
     this.options = this.params.options
-      ? this.params.options.map(
-        (option, index) => new MultiMediaChoiceOption(
+      ? this.params.options.map((option, index) => {
+        const multiMediaChoiceOption = new MultiMediaChoiceOption(
           this.content,
           option,
+          index,
           contentId,
           this.aspectRatio,
+          this.layout === 'list' ? 'below' : this.params.behaviour.captionPosition,
           this.isSingleAnswer,
-          this.params.l10n.missingAltText,
-          this.params.l10n.closeModalText,
+          this.getRequiredPlayback(),
+          this.params.behaviour.videoPlaybackMode,
+          this.getInitialImageSizes(),
+          this.params.l10n,
           {
-            onClick: () => this.toggleSelected(index),
-            onKeyboardSelect: () => this.toggleSelected(index),
-            onKeyboardArrowKey: (direction) => this.handleOptionArrowKey(index, direction),
+            onClick: () => this.toggleSelected(this.options.indexOf(multiMediaChoiceOption)),
+            onKeyboardSelect: () => this.toggleSelected(this.options.indexOf(multiMediaChoiceOption)),
+            onKeyboardArrowKey: (direction) => this.handleOptionArrowKey(
+              this.options.indexOf(multiMediaChoiceOption), direction,
+            ),
+            onKeyboardShortcut: (key) => this.handleKeyboardShortcut(key),
+            onZoom: () => this.openImagePreview(multiMediaChoiceOption),
             triggerResize: this.callbacks.triggerResize,
-            pauseAllOtherMedia: () => this.pauseAllOtherMedia(index),
+            onImageLoaded: () => this.requestLayout(),
+            pauseAllOtherMedia: () => this.pauseAllOtherMedia(
+              this.options.indexOf(multiMediaChoiceOption),
+            ),
+            onMediaProgressed: () => this.callbacks.onMediaProgressed(multiMediaChoiceOption),
+            onMediaCompleted: () => this.callbacks.onMediaCompleted(multiMediaChoiceOption),
+            onVideoModalOpened: this.callbacks.onVideoModalOpened,
+            onVideoModalClosed: this.callbacks.onVideoModalClosed,
           },
-        ),
-      )
+        );
+        return multiMediaChoiceOption;
+      })
       : [];
+
+    this.makeKeysUnique();
+
+    const {
+      answers, order, eliminated, unlocked,
+    } = migrateState(
+      previousState,
+      this.options.map((option) => option.getKey()),
+    );
+
+    if (this.params.behaviour.randomizeOptions) {
+      this.options = this.restoreOptionOrder(order);
+    }
+
+    this.setSelectionLimits();
+
+    if (!this.params.behaviour.disableImageZooming) {
+      this.options
+        .filter((option) => option.canBeZoomed())
+        .forEach((option) => option.addZoomButton());
+    }
+
+    if (this.layout === 'list') {
+      this.options.forEach((option) => option.addLabel());
+    }
+
+    if (this.params.behaviour.enableKeyboardShortcuts) {
+      this.options.slice(0, SHORTCUT_KEYS.length).forEach(
+        (option, index) => option.setKeyboardShortcut(SHORTCUT_KEYS[index]),
+      );
+    }
+
     this.optionList = this.buildOptionList();
-    this.content.appendChild(this.optionList);
+    if (this.hasSelectionLimits()) {
+      this.selectionCounter = this.buildSelectionCounter();
+      this.content.appendChild(this.selectionCounter);
+    }
+    this.content.appendChild(
+      this.layout === 'carousel' ? this.buildCarousel(this.optionList) : this.optionList,
+    );
     this.setTabIndexes();
 
-    // Use masonry library
-    this.masonry = new Masonry(this.optionList, {
-      gutter: columnGap,
-      itemSelector: '.h5p-multi-media-choice-list-item',
-      horizontalOrder: true,
-    });
+    // Use masonry library, the other layouts are made with CSS
+    if (this.layout === 'masonry') {
+      this.masonry = new Masonry(this.optionList, {
+        gutter: this.columnGap,
+        itemSelector: '.h5p-multi-media-choice-list-item',
+        horizontalOrder: true,
+        resize: false, // Laid out by setColumnProperties
+      });
+    }
+
+    // Selected options must have been unlocked, also if the state was saved without unlocked keys
+    this.restoreUnlockedOptions([...unlocked, ...answers]);
 
     // Toggle selected
-    answerState.forEach((index) => this.toggleSelected(index, false));
+    answers.forEach((key) => this.toggleSelected(
+      this.options.findIndex((option) => option.getKey() === key), false,
+    ));
+    this.restoreEliminatedOptions(eliminated);
+    this.updateSelectionCounter();
+  }
+
+  /**
+   * Number the keys of options that have the same key, e.g. text options with the same caption
+   */
+  makeKeysUnique() {
+    const counts = {};
+    this.options.forEach((option) => {
+      const key = option.getKey();
+      counts[key] = (counts[key] ?? 0) + 1;
+      if (counts[key] > 1) {
+        option.setKey(`${key}-${counts[key]}`);
+      }
+    });
+  }
+
+  /**
+   * Get the sizes of the option images before the options are laid out. Lazily loaded images
+   * are sized by the browser, others are estimated from the minimum width and maximum columns.
+   * @returns {string} Sizes attribute of the images
+   */
+  getInitialImageSizes() {
+    if (this.layout === 'list') {
+      return `auto, ${LIST_THUMBNAIL_WIDTH}px`;
+    }
+
+    const maxColumns = Math.max(1, this.maxAlternativesPerRow);
+    return `auto, max(${this.optionMinWidth}px, ${Math.floor(100 / maxColumns)}vw)`;
+  }
+
+  /**
+   * Get how much of an option's media must be played before it can be selected
+   * @returns {number|null} Share of the media from 0 to 1, null if playing is not required
+   */
+  getRequiredPlayback() {
+    if (!this.params.behaviour.requireMediaPlayback) {
+      return null;
+    }
+
+    const percentage = this.params.behaviour.requiredPlaybackPercentage;
+    return Math.min(100, Math.max(1, percentage || 100)) / 100;
+  }
+
+  /**
+   * Set the minimum and maximum number of options that can be selected.
+   * Limits are only used when multiple answers can be selected.
+   */
+  setSelectionLimits() {
+    const { minSelections, maxSelections } = this.params.behaviour;
+    if (this.isSingleAnswer) {
+      this.minSelections = 0;
+      this.maxSelections = Infinity;
+      return;
+    }
+
+    this.maxSelections = maxSelections > 0
+      ? Math.min(maxSelections, this.options.length)
+      : Infinity;
+    this.minSelections = minSelections > 0
+      ? Math.min(minSelections, this.maxSelections, this.options.length)
+      : 0;
+  }
+
+  /**
+   * Checks if there is a minimum or maximum number of options to select
+   * @returns {boolean} True if there are selection limits
+   */
+  hasSelectionLimits() {
+    return this.minSelections > 0 || this.maxSelections !== Infinity;
+  }
+
+  /**
+   * Checks if enough options are selected to check the answer
+   * @returns {boolean} True if the minimum number of selections is met
+   */
+  hasEnoughSelections() {
+    return this.getSelectedOptions().length >= this.minSelections;
+  }
+
+  /**
+   * Build the counter showing how many options are selected
+   * @returns {HTMLElement} Selection counter
+   */
+  buildSelectionCounter() {
+    return createElement({
+      type: 'div',
+      classList: ['h5p-multi-media-choice-selection-counter'],
+      attributes: {
+        id: `h5p-multi-media-choice-selection-counter-${this.contentId}`,
+        'aria-live': 'polite',
+      },
+    });
+  }
+
+  /**
+   * Update the text of the selection counter
+   */
+  updateSelectionCounter() {
+    if (!this.selectionCounter) {
+      return;
+    }
+
+    const count = this.getSelectedOptions().length;
+    const text = this.maxSelections !== Infinity
+      ? this.params.l10n.selectionCounter.replace('@max', this.maxSelections)
+      : this.params.l10n.selectionCounterMinimum.replace('@min', this.minSelections);
+    this.selectionCounter.textContent = text.replace('@count', count);
+  }
+
+  /**
+   * Get the options in a previously stored order. Options missing from the stored
+   * order, e.g. added by the author after the state was saved, are placed randomly.
+   * @param {string[]} [optionOrder] Order of the options given as their keys
+   * @returns {MultiMediaChoiceOption[]} Options in display order
+   */
+  restoreOptionOrder(optionOrder) {
+    if (!optionOrder?.length) {
+      return Util.shuffleArray(this.options);
+    }
+
+    const orderedOptions = optionOrder
+      .map((key) => this.options.find((option) => option.getKey() === key));
+
+    Util.shuffleArray(this.options.filter((option) => !orderedOptions.includes(option)))
+      .forEach((option) => {
+        const position = Math.floor(Math.random() * (orderedOptions.length + 1));
+        orderedOptions.splice(position, 0, option);
+      });
+
+    return orderedOptions;
   }
 
   /**
@@ -135,19 +369,66 @@ export default class MultiMediaChoiceContent {
   buildOptionList() {
     const optionList = createElement({
       type: 'ul',
-      classList: ['h5p-multi-media-choice-option-list'],
+      classList: ['h5p-multi-media-choice-option-list', `h5p-multi-media-choice-layout-${this.layout}`],
       attributes: {
         role: this.isSingleAnswer ? 'radiogroup' : 'group',
         'aria-labelledby': `h5p-media-choice${this.contentId}`,
       },
     });
 
+    if (this.hasSelectionLimits()) {
+      optionList.setAttribute('aria-describedby', `h5p-multi-media-choice-selection-counter-${this.contentId}`);
+    }
+
     this.options.forEach((option) => {
       optionList.appendChild(option.getDOM());
     });
     return optionList;
   }
 
+  /**
+   * Builds a single row of options that can be swiped, with buttons to scroll it
+   * @param {HTMLElement} optionList List of the options
+   * @returns {HTMLElement} Carousel containing the list
+   */
+  buildCarousel(optionList) {
+    const carousel = createElement({ type: 'div', classList: ['h5p-multi-media-choice-carousel'] });
+
+    this.carouselButtons = [['previous', -1], ['next', 1]].map(([name, step]) => {
+      const button = createElement({
+        type: 'button',
+        classList: [`h5p-multi-media-choice-carousel-${name}`],
+        attributes: { 'aria-label': this.params.l10n[`${name}Options`] },
+      });
+      button.addEventListener('click', () => this.scrollCarousel(step));
+      return button;
+    });
+
+    carousel.appendChild(this.carouselButtons[0]);
+    carousel.appendChild(optionList);
+    carousel.appendChild(this.carouselButtons[1]);
+    optionList.addEventListener('scroll', () => this.updateCarouselButtons());
+
+    return carousel;
+  }
+
+  /**
+   * Scroll the carousel one page
+   * @param {number} direction -1 to scroll back, 1 to scroll forward
+   */
+  scrollCarousel(direction) {
+    this.optionList.scrollBy({ left: direction * this.optionList.clientWidth, behavior: 'smooth' });
+  }
+
+  /**
+   * Disable the carousel buttons that can not scroll further
+   */
+  updateCarouselButtons() {
+    const { scrollLeft, scrollWidth, clientWidth } = this.optionList;
+    this.carouselButtons[0].disabled = scrollLeft <= 0;
+    this.carouselButtons[1].disabled = scrollLeft + clientWidth >= scrollWidth - 1;
+  }
+
   /**
    * Return the DOM for this class
    * @return {HTMLElement} DOM for this class
@@ -178,10 +459,13 @@ export default class MultiMediaChoiceContent {
    * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-3}
    */
   getMaxScore() {
-    if (this.params.behaviour.singlePoint || this.isSingleAnswer || this.isBlankCorrect()) {
+    if (this.params.behaviour.singlePoint || this.isBlankCorrect()) {
       return 1;
     }
-    return this.numberOfCorrectOptions;
+    if (this.isSingleAnswer) {
+      return this.scoringStrategy.getSingleAnswerMaxScore(this.options);
+    }
+    return this.scoringStrategy.getMaxScore(this.options);
   }
 
   /**
@@ -198,27 +482,25 @@ export default class MultiMediaChoiceContent {
       return this.isBlankCorrect() ? 1 : 0;
     }
 
-    // Radio buttons, only one answer
+    let score;
+    let maxScore;
     if (this.isSingleAnswer) {
-      return this.lastSelectedRadioButtonOption.isCorrect() ? 1 : 0;
+      // Radio buttons, only one answer
+      score = this.scoringStrategy.getSingleAnswerScore(this.lastSelectedRadioButtonOption);
+      maxScore = this.scoringStrategy.getSingleAnswerMaxScore(this.options);
+    }
+    else {
+      // Checkbox buttons, scored according to the scoring mode
+      score = this.scoringStrategy.getScore(this.options);
+      maxScore = this.scoringStrategy.getMaxScore(this.options);
     }
-
-    // Checkbox buttons. 1 point for correct answer, -1 point for incorrect answer
-    let score = 0;
-    this.options.forEach((option) => {
-      if (option.isSelected()) {
-        option.isCorrect() ? score++ : score--;
-      }
-    });
-
-    score = Math.max(0, score); // Negative score not allowed
 
     /**
-     * Checkbox buttons with single point.
-     * One point if (score / number of correct options) is above pass percentage
+     * Single point for the whole question.
+     * One point if (score / max score of scoring mode) is above pass percentage
      */
     if (this.params.behaviour.singlePoint) {
-      return (score * 100) / this.numberOfCorrectOptions >= this.params.behaviour.passPercentage
+      return (score * 100) / maxScore >= this.params.behaviour.passPercentage
         ? 1
         : 0;
     }
@@ -252,10 +534,19 @@ export default class MultiMediaChoiceContent {
 
   /**
    * Checks if the score is above the pass percentage
+   * @param {number} [score] Score to check, defaults to the score of the current selections
    * @returns {boolean} True if score is above the pass percentage
    */
-  isPassed() {
-    return (this.getScore() * 100) / this.getMaxScore() >= this.params.behaviour.passPercentage;
+  isPassed(score = this.getScore()) {
+    return (score * 100) / this.getMaxScore() >= this.params.behaviour.passPercentage;
+  }
+
+  /**
+   * Get the points of a fully correct option. Options giving fewer points are partially correct
+   * @returns {number|undefined} Highest points of an option, undefined if scoring is not weighted
+   */
+  getFullWeight() {
+    return this.isWeighted ? getMaxWeight(this.options) : undefined;
   }
 
   /**
@@ -264,8 +555,10 @@ export default class MultiMediaChoiceContent {
   showSelectedSolutions() {
     this.options.forEach((option) => option.showSelectedSolution({
       correctAnswer: this.params.l10n.correctAnswer,
+      partiallyCorrectAnswer: this.params.l10n.partiallyCorrectAnswer,
       wrongAnswer: this.params.l10n.wrongAnswer,
-    }));
+    }, this.getFullWeight()));
+    this.callbacks.triggerResize(); // Feedback may change the height of options
   }
 
   /**
@@ -275,7 +568,8 @@ export default class MultiMediaChoiceContent {
     this.options.forEach((option) => option.showUnselectedSolution({
       shouldCheck: this.params.l10n.shouldCheck,
       shouldNotCheck: this.params.l10n.shouldNotCheck,
-    }));
+    }, this.getFullWeight()));
+    this.callbacks.triggerResize();
   }
 
   /**
@@ -298,6 +592,7 @@ export default class MultiMediaChoiceContent {
    */
   hideSolutions() {
     this.options.forEach((option) => option.hideSolution());
+    this.callbacks.triggerResize();
   }
 
   /**
@@ -308,6 +603,15 @@ export default class MultiMediaChoiceContent {
    */
   toggleSelected(optionIndex, triggerInteracted = true) {
     const option = this.options[optionIndex];
+    if (!option) {
+      return;
+    }
+    if (option.isLocked()) {
+      if (triggerInteracted) {
+        this.callbacks.read(this.params.l10n.mediaLocked);
+      }
+      return;
+    }
     if (option.isDisabled()) {
       return;
     }
@@ -317,12 +621,22 @@ export default class MultiMediaChoiceContent {
       }
       if (this.lastSelectedRadioButtonOption) {
         this.lastSelectedRadioButtonOption.uncheck();
-        this.lastSelectedRadioButtonOption.setTabIndex(-1);
       }
       this.lastSelectedRadioButtonOption = option;
-      this.lastSelectedRadioButtonOption.setTabIndex(0);
+      this.setTabStop(option);
+    }
+    else if (!option.isSelected() && this.getSelectedOptions().length >= this.maxSelections) {
+      // Refuse selections beyond the maximum
+      if (triggerInteracted) {
+        this.callbacks.read(
+          this.params.l10n.maxSelectionsReached.replace('@max', this.maxSelections),
+        );
+      }
+      return;
     }
     option.toggle();
+    this.updateSelectionCounter();
+    this.callbacks.onSelectionsChanged();
 
     if (triggerInteracted) {
       this.callbacks.triggerInteracted();
@@ -337,8 +651,87 @@ export default class MultiMediaChoiceContent {
     this.setTabIndexes();
     this.options.forEach((option) => {
       option.uncheck();
+      option.removeElimination();
       option.enable();
     });
+    this.updateSelectionCounter();
+    this.callbacks.onSelectionsChanged();
+  }
+
+  /**
+   * Get the options that a hint may rule out
+   * @returns {object[]} Incorrect options that are neither selected nor eliminated
+   */
+  getEliminableOptions() {
+    return this.options.filter(
+      (option) => !option.isCorrect() && !option.isSelected() && !option.isEliminated(),
+    );
+  }
+
+  /**
+   * Rule out a random incorrect option that is not selected
+   * @returns {object|undefined} Option that was eliminated, if any was left
+   */
+  eliminateOption() {
+    const eliminableOptions = this.getEliminableOptions();
+    const option = eliminableOptions[Math.floor(Math.random() * eliminableOptions.length)];
+    if (option) {
+      this.moveTabStopFrom(option);
+      option.eliminate();
+    }
+    return option;
+  }
+
+  /**
+   * Rule out the options eliminated before the task was resumed
+   * @param {String[]} keys Keys of the eliminated options
+   */
+  restoreEliminatedOptions(keys) {
+    this.getEliminableOptions()
+      .filter((option) => keys.includes(option.getKey()))
+      .forEach((option) => {
+        this.moveTabStopFrom(option);
+        option.eliminate();
+      });
+  }
+
+  /**
+   * Unlock the options whose media was played enough before the task was resumed
+   * @param {String[]} keys Keys of the unlocked options
+   */
+  restoreUnlockedOptions(keys) {
+    this.options
+      .filter((option) => option.isLocked() && keys.includes(option.getKey()))
+      .forEach((option) => option.unlock());
+  }
+
+  /**
+   * @returns {String[]} Keys of the options that had to be unlocked by playing their media
+   */
+  getUnlockedKeys() {
+    return this.options
+      .filter((option) => option.wasLocked() && !option.isLocked())
+      .map((option) => option.getKey());
+  }
+
+  /**
+   * Keep the options reachable with Tab when the tabbable option is disabled
+   * @param {object} option Option that is about to be disabled
+   */
+  moveTabStopFrom(option) {
+    if (option.getDOM().getAttribute('tabindex') !== '0') {
+      return;
+    }
+
+    const nextOption = this.options.find((other) => other !== option && !other.isDisabled());
+    nextOption?.setTabIndex(0);
+  }
+
+  /**
+   * @returns {String[]} Keys of the options eliminated by hints
+   */
+  getEliminatedKeys() {
+    return this.options.filter((option) => option.isEliminated()).map((option) => option.getKey());
   }
 
   /**
@@ -351,87 +744,322 @@ export default class MultiMediaChoiceContent {
 
   /**
    * Set the tabindex of every option.
-   * For checkbox options, all options are tabbable.
-   * For radio button options, only the first option is tabbable.
+   * Only the first option is tabbable, the others are reached with the arrow keys.
    *
    * @param {number} [value=null] Tabindex to set to all options.
    */
   setTabIndexes(value = null) {
-    if (this.isSingleAnswer) {
-      this.options.forEach((option) => option.setTabIndex(value !== null ? value : -1));
-      this.options[0].setTabIndex(value !== null ? value : 0);
-    }
-    else {
-      this.options.forEach((option) => option.setTabIndex(value !== null ? value : 0));
-    }
+    this.options.forEach((option) => option.setTabIndex(value !== null ? value : -1));
+    this.options[0].setTabIndex(value !== null ? value : 0);
   }
 
   /**
-   * Handle arrow keys pressed on options
+   * Handle arrow keys, Home and End pressed on options.
+   * Radio buttons are selected when moved to, checkboxes only get focus.
    *
    * @param {number} index Index of option pressed
-   * @param {string} direction Direction of arrow key pressed
+   * @param {string} direction Direction of arrow key pressed, or Home or End
    */
   handleOptionArrowKey(index, direction) {
-    if (!['Left', 'Right', 'Up', 'Down'].includes(direction)) {
+    const nextIndex = this.getNavigationTarget(index, direction);
+    if (nextIndex === index || !this.options[nextIndex]) {
       return; // Invalid move or invalid direction
     }
 
-    const directions = {
-      Right: 1,
-      Down: 1,
-      Left: -1,
-      Up: -1,
+    if (this.isSingleAnswer) {
+      this.toggleSelected(nextIndex);
+    }
+    this.options[nextIndex].focus();
+    this.setTabStop(this.options[nextIndex]);
+  }
+
+  /**
+   * Handle a shortcut key pressed on an option.
+   * Number keys toggle the option at that position, the check key checks the answer.
+   *
+   * @param {string} key Key pressed
+   * @returns {boolean} True if the key was used as a shortcut
+   */
+  handleKeyboardShortcut(key) {
+    if (!this.params.behaviour.enableKeyboardShortcuts) {
+      return false;
+    }
+
+    const { checkAnswerKey } = this.params.behaviour;
+    if (checkAnswerKey && key.toLowerCase() === checkAnswerKey.toLowerCase()) {
+      this.callbacks.onCheckShortcut();
+      return true;
+    }
+
+    const index = SHORTCUT_KEYS.indexOf(key);
+    if (!this.options[index]) {
+      return false;
+    }
+
+    this.toggleSelected(index);
+    this.options[index].focus();
+    this.setTabStop(this.options[index]);
+    return true;
+  }
+
+  /**
+   * Show the image of an option enlarged. The arrow keys and buttons
+   * move between the images of all options
+   * @param {object} option Option whose image to show
+   */
+  openImagePreview(option) {
+    const { l10n } = this.params;
+    const imageOptions = this.options.filter((other) => other.canBeZoomed());
+    let current = imageOptions.indexOf(option);
+
+    this.pauseAllOtherMedia();
+
+    const image = createElement({ type: 'img', classList: ['h5p-multi-media-choice-preview-image'] });
+    const description = createElement({
+      type: 'div',
+      classList: ['h5p-multi-media-choice-preview-description'],
+      attributes: { 'aria-live': 'polite' },
+    });
+
+    const show = (index) => {
+      current = (index + imageOptions.length) % imageOptions.length;
+      const shownOption = imageOptions[current];
+      image.src = shownOption.getImageSource();
+      image.alt = shownOption.getImageAlt();
+      description.textContent = imageOptions.length > 1
+        ? `${l10n.imagePosition.replace('@current', current + 1).replace('@total', imageOptions.length)}. ${shownOption.getDescription()}`
+        : shownOption.getDescription();
     };
 
-    const directionVector = directions[direction];
-    const nextIndex = index + directionVector;
+    const { modal, modalContent } = createModal(this.content, option.getDOM(), l10n, {
+      classList: ['h5p-multi-media-choice-preview'],
+      label: l10n.imagePreview,
+      onKeyDown: (event) => {
+        if (imageOptions.length > 1 && ['ArrowLeft', 'ArrowRight'].includes(event.key)) {
+          event.preventDefault();
+          show(event.key === 'ArrowLeft' ? current - 1 : current + 1);
+        }
+      },
+      onClose: () => this.callbacks.triggerResize(),
+    });
+
+    modalContent.appendChild(image);
+    modalContent.appendChild(description);
 
-    this.toggleSelected(nextIndex);
-    this.options[nextIndex].focus();
-    this.options[nextIndex].setTabIndex(0);
-    this.options[index].setTabIndex(-1);
+    if (imageOptions.length > 1) {
+      [['previous', -1], ['next', 1]].forEach(([name, step]) => {
+        const button = createElement({
+          type: 'button',
+          classList: [`h5p-multi-media-choice-preview-${name}`],
+          attributes: { 'aria-label': l10n[`${name}Image`] },
+        });
+        button.addEventListener('click', () => show(current + step));
+        modalContent.appendChild(button);
+      });
+    }
+
+    image.addEventListener('load', () => {
+      fitFrameToModal(this.content, modalContent);
+      this.callbacks.triggerResize();
+    });
+
+    show(current);
+    modal.querySelector('.modal-close-button').focus();
+    modal.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  /**
+   * Make an option the only one reachable with Tab
+   * @param {object} tabStop Option to make tabbable
+   */
+  setTabStop(tabStop) {
+    this.options.forEach((option) => option.setTabIndex(option === tabStop ? 0 : -1));
+  }
+
+  /**
+   * Find the option to move to in the grid. Every layout places the options
+   * in horizontal order, so option n is in column n modulo the column count.
+   * Disabled options, e.g. ones ruled out by a hint, are skipped. Locked options
+   * are not, so the learner can find out why they can not be selected.
+   *
+   * @param {number} index Index of the current option
+   * @param {string} direction Left, Right, Up, Down, Home or End
+   * @returns {number} Index of the option to move to, the current index if there is none
+   */
+  getNavigationTarget(index, direction) {
+    const lastIndex = this.options.length - 1;
+    const isSkipped = (target) => this.options[target].isDisabled() && !this.options[target].isLocked();
+
+    // Home and End continue inwards from the first or last option if it is skipped
+    const step = {
+      Home: (from) => Math.min(lastIndex, from + 1),
+      End: (from) => Math.max(0, from - 1),
+    }[direction] ?? ((from) => this.getAdjacentIndex(from, direction));
+
+    let target = this.getAdjacentIndex(index, direction);
+    while (target !== index && isSkipped(target)) {
+      const next = step(target);
+      if (next === target) {
+        return index; // Only skipped options left in this direction
+      }
+      target = next;
+    }
+    return target;
+  }
+
+  /**
+   * Find the option next to an option in the grid
+   *
+   * @param {number} index Index of the option
+   * @param {string} direction Left, Right, Up, Down, Home or End
+   * @returns {number} Index of the option next to it, the same index if there is none
+   */
+  getAdjacentIndex(index, direction) {
+    const lastIndex = this.options.length - 1;
+    const row = Math.floor(index / this.columns);
+    const lastRow = Math.floor(lastIndex / this.columns);
+
+    switch (direction) {
+      case 'Left':
+        return Math.max(0, index - 1);
+      case 'Right':
+        return Math.min(lastIndex, index + 1);
+      case 'Up':
+        return row > 0 ? index - this.columns : index;
+      case 'Down':
+        // The last row may be shorter, then move to its last option
+        return row < lastRow ? Math.min(lastIndex, index + this.columns) : index;
+      case 'Home':
+        return 0;
+      case 'End':
+        return lastIndex;
+      default:
+        return index;
+    }
+  }
+
+  /**
+   * Lay out the options when the width of the option list or the size of an option changes
+   * @returns {boolean} True if the layout is observed, false if ResizeObserver is not supported
+   */
+  observeLayout() {
+    if (!window.ResizeObserver) {
+      return false;
+    }
+
+    this.resizeObserver = new ResizeObserver((entries) => {
+      let needsLayout = false;
+      entries.forEach((entry) => {
+        if (entry.target !== this.optionList) {
+          needsLayout = true; // An option changed size, e.g. when showing feedback
+          return;
+        }
+
+        // The height of the list follows from the layout, so only its width is relevant
+        const { width } = entry.contentRect;
+        needsLayout = needsLayout || width !== this.listWidth;
+        this.listWidth = width;
+      });
+
+      if (needsLayout) {
+        this.requestLayout();
+      }
+    });
+
+    this.resizeObserver.observe(this.optionList);
+    this.options.forEach((option) => this.resizeObserver.observe(option.getDOM()));
+    return true;
+  }
+
+  /**
+   * Lay out the options in the next animation frame.
+   * Requests made until then, e.g. by several images loading, give a single layout.
+   */
+  requestLayout() {
+    if (this.layoutFrame) {
+      return;
+    }
+
+    this.layoutFrame = window.requestAnimationFrame(() => {
+      this.layoutFrame = null;
+      this.setColumnProperties(this.listWidth);
+      this.callbacks.triggerResize(); // The height of the content may have changed
+    });
+  }
+
+  /**
+   * Get the maximum number of columns for a width. The breakpoint with the
+   * largest width that fits is used, otherwise the maximum alternatives per row.
+   *
+   * @param {number} containerWidth Width of the option list
+   * @returns {number} Maximum number of columns
+   */
+  getMaxColumns(containerWidth) {
+    const breakpoint = this.columnBreakpoints
+      .filter(({ minWidth }) => minWidth <= containerWidth)
+      .reduce((widest, current) => (!widest || current.minWidth > widest.minWidth ? current : widest), null);
+
+    return breakpoint ? breakpoint.maxColumns : this.maxAlternativesPerRow;
   }
 
   /**
-   * Set the number of columns and each element's size
+   * Set the number of columns. The size of the options follows from the columns in CSS,
+   * so the columns are only changed when the width fits a different number of options.
+   *
+   * @param {number} [containerWidth] Width of the option list, measured if not given
    */
-  setColumnProperties() {
-    const containerWidth = this.optionList.getBoundingClientRect().width;
+  setColumnProperties(containerWidth = this.optionList.getBoundingClientRect().width) {
     const itemCount = this.options.length;
 
     // Ensure we always have at least 1 column, even in very narrow containers
-    const columnSpaceCount = Math.max(1, containerWidth / (optionMinWidth + columnGap));
+    const columnSpaceCount = Math.max(1, containerWidth / (this.optionMinWidth + this.columnGap));
 
     // Find the number of columns from whichever is smaller: space, max values and number of options
-    const columns = Math.round(
-      Math.min(columnSpaceCount, this.maxAlternativesPerRow, itemCount),
+    const columns = this.layout === 'list' ? 1 : Math.round(
+      Math.min(columnSpaceCount, this.getMaxColumns(containerWidth), itemCount),
     );
 
-    const gap = columns > 1 ? columnGap : 0;
-    const marginLeft = gap / 2;
-    const elementWidth = (containerWidth / columns) - gap;
+    if (columns !== this.visibleColumns) {
+      this.visibleColumns = columns;
+      // The carousel has all options in one row, the columns are the options visible at a time
+      this.columns = this.layout === 'carousel' ? itemCount : columns;
+      this.optionList.style.setProperty('--columns', columns);
+      this.optionList.style.setProperty('--column-gap', `${columns > 1 ? this.columnGap : 0}px`);
+    }
+
+    const imageWidth = this.layout === 'list' ? LIST_THUMBNAIL_WIDTH : Math.ceil(containerWidth / columns);
+    if (imageWidth !== this.imageWidth) {
+      this.imageWidth = imageWidth;
+      this.options.forEach((option) => option.setImageSizes(imageWidth));
+    }
 
-    this.optionList.style.setProperty('--masonry-margin-left', `${marginLeft}px`);
-    this.optionList.style.setProperty('--item-width', `${elementWidth}px`);
+    if (this.layout === 'masonry') {
+      // The heights of the options change with their width, so they must be placed again
+      this.masonry.layout();
+    }
+    else if (this.layout === 'carousel') {
+      this.updateCarouselButtons();
+    }
+  }
 
-    // Set layout again after resizing
-    this.masonry.layout();
+  /**
+   * Return a list with the keys of the selected options
+   * @return {string[]} keys
+   */
+  getSelectedKeys() {
+    return this.getSelectedOptions().map((option) => option.getKey());
   }
 
   /**
-   * Return a list with the selected indexes
-   * @return  {number[]} indexes
+   * Return the order the options are displayed in
+   * @return {string[]|undefined} Option keys in display order, undefined if not randomized
    */
-  getSelectedIndexes() {
-    const indexes = [];
-    for (let i = 0; i < this.options.length; i++) {
-      const option = this.options[i];
-      if (option.isSelected()) {
-        indexes.push(i);
-      }
+  getOptionOrder() {
+    if (!this.params.behaviour.randomizeOptions) {
+      return undefined;
     }
-    return indexes;
+
+    return this.options.map((option) => option.getKey());
   }
 
   /**
@@ -452,6 +1080,9 @@ export default class MultiMediaChoiceContent {
       else if (lib === 'H5P.Audio' && !option.option?.poster) {
         mediaType = 'audio';
       }
+      else if (option.isOtherContent() && !option.otherInstance) {
+        mediaType = 'other';
+      }
 
       if (mediaType) {
         this.setPlaceholderImage(mediaType, option);
@@ -0,0 +1,167 @@
+/** Fastest playback rate counted as playing, moving faster is skipping */
+const MAX_PLAYBACK_RATE = 2;
+
+/** Seconds the position may move beyond the playback rate, as updates are not exact */
+const SEEK_TOLERANCE = 0.5;
+
+/** Seconds that may be missing from the watched time for the media to count as completed */
+const COMPLETION_TOLERANCE = 1;
+
+/** Class keeping track of how much of an option's audio or video has been played */
+export default class MediaTracker {
+  /**
+   * @constructor
+   * @param {object} [callbacks = {}] Callbacks.
+   */
+  constructor(callbacks = {}) {
+    this.callbacks = callbacks;
+    this.callbacks.onTimeUpdate = this.callbacks.onTimeUpdate || (() => {});
+    this.callbacks.onProgressed = this.callbacks.onProgressed || (() => {});
+    this.callbacks.onCompleted = this.callbacks.onCompleted || (() => {});
+
+    this.watchedTime = 0;
+    this.playedIntervals = []; // Parts of the media played, as [start, end] in seconds
+    this.duration = 0;
+    this.lastPosition = null;
+    this.lastUpdate = null;
+    this.played = false;
+    this.completed = false;
+  }
+
+  /**
+   * Handle the media starting to play
+   * @param {number} currentTime Position in the media in seconds
+   */
+  handlePlay(currentTime) {
+    if (this.lastPosition !== null) {
+      this.addWatchedTime(currentTime); // Playing again without a pause, e.g. after seeking
+    }
+    this.played = true;
+    this.lastPosition = currentTime;
+    this.lastUpdate = Date.now();
+  }
+
+  /**
+   * Handle the position of the playing media being updated
+   * @param {number} currentTime Position in the media in seconds
+   * @param {number} duration Length of the media in seconds
+   */
+  handleTimeUpdate(currentTime, duration) {
+    if (this.lastPosition === null) {
+      return; // Not playing
+    }
+
+    this.setDuration(duration);
+    this.addWatchedTime(currentTime);
+    this.callbacks.onTimeUpdate(this.getProgress());
+  }
+
+  /**
+   * Handle the media being paused
+   * @param {number} currentTime Position in the media in seconds
+   * @param {number} duration Length of the media in seconds
+   */
+  handlePause(currentTime, duration) {
+    if (this.lastPosition === null) {
+      return; // Not playing
+    }
+
+    this.setDuration(duration);
+    this.addWatchedTime(currentTime);
+    this.lastPosition = null;
+    this.callbacks.onProgressed(this.getProgress());
+  }
+
+  /**
+   * Handle the media having played to the end. The media only counts as
+   * completed if it was actually played, not if it was skipped to the end.
+   * @param {number} duration Length of the media in seconds
+   */
+  handleEnded(duration) {
+    this.setDuration(duration);
+    if (this.lastPosition !== null) {
+      this.addWatchedTime(this.duration);
+      this.lastPosition = null;
+    }
+
+    this.completed = this.completed || this.getPlayedLength() + COMPLETION_TOLERANCE >= this.duration;
+    if (this.completed) {
+      this.callbacks.onCompleted(this.getProgress());
+    }
+    else {
+      this.callbacks.onProgressed(this.getProgress());
+    }
+  }
+
+  /**
+   * Add the time played since the last update. If the position moved further than
+   * playing could move it, the media was skipped forward, and only the time that
+   * passed is added. Only parts of the media actually played count as played.
+   * @param {number} currentTime Position in the media in seconds
+   */
+  addWatchedTime(currentTime) {
+    const now = Date.now();
+    const played = currentTime - this.lastPosition;
+    const elapsed = (now - this.lastUpdate) / 1000;
+
+    const isSkipped = played < 0 || played > elapsed * MAX_PLAYBACK_RATE + SEEK_TOLERANCE;
+    this.watchedTime += isSkipped ? Math.min(elapsed, this.duration || elapsed) : played;
+    if (!isSkipped && played > 0) {
+      this.addPlayedInterval(this.lastPosition, currentTime);
+    }
+
+    this.lastPosition = currentTime;
+    this.lastUpdate = now;
+  }
+
+  /**
+   * Set the length of the media, if it is known
+   * @param {number} duration Length of the media in seconds
+   */
+  setDuration(duration) {
+    if (Number.isFinite(duration) && duration > 0) {
+      this.duration = duration;
+    }
+  }
+
+  /**
+   * Add a played part of the media, merged with the parts it overlaps or touches
+   * @param {number} start Start of the part in seconds
+   * @param {number} end End of the part in seconds
+   */
+  addPlayedInterval(start, end) {
+    const merged = [start, end];
+    this.playedIntervals = this.playedIntervals.filter(([otherStart, otherEnd]) => {
+      if (otherEnd < merged[0] || otherStart > merged[1]) {
+        return true; // Separate part
+      }
+      merged[0] = Math.min(merged[0], otherStart);
+      merged[1] = Math.max(merged[1], otherEnd);
+      return false;
+    });
+    this.playedIntervals.push(merged);
+  }
+
+  /**
+   * Get how much of the media has been played, parts played again counted once
+   * @returns {number} Length of the played parts in seconds
+   */
+  getPlayedLength() {
+    return this.playedIntervals.reduce((length, [start, end]) => length + end - start, 0);
+  }
+
+  /**
+   * Get the progress of the media
+   * @returns {object} Watched time and length in seconds, share of the media played
+   *   from 0 to 1 and completion
+   */
+  getProgress() {
+    return {
+      watchedTime: this.watchedTime,
+      duration: this.duration,
+      progress: this.duration ? Math.min(1, this.getPlayedLength() / this.duration) : 0,
+      played: this.played,
+      completed: this.completed,
+    };
+  }
+}
@@ -0,0 +1,109 @@
+import { createElement } from './h5p-multi-media-choice-util.js';
+
+/**
+ * Creates a modal dialog covering the options. Focus is kept inside the modal,
+ * Escape or clicking outside closes it, and focus is returned when it is closed.
+ *
+ * @param {HTMLElement} frame Element the modal is placed in
+ * @param {HTMLElement} lastFocus Element to focus when the modal is closed
+ * @param {object} l10n Translatable strings
+ * @param {object} [options = {}] Options
+ * @param {string} [options.focusableSelector] Selector of the elements that can be tabbed to
+ * @param {string[]} [options.classList] Extra classes of the modal content
+ * @param {string} [options.label] Accessible name of the modal
+ * @param {function} [options.onKeyDown] Called with keys not handled by the modal
+ * @param {function} [options.onClose] Called after the modal is closed
+ * @returns {object} The modal, its content element and a function closing it
+ */
+export function createModal(frame, lastFocus, l10n, options = {}) {
+  const {
+    focusableSelector = 'button:not([disabled])',
+    classList = [],
+    label,
+    onKeyDown = () => {},
+    onClose = () => {},
+  } = options;
+
+  const modal = createElement({
+    type: 'div',
+    classList: ['h5p-multi-media-modal'],
+    attributes: { role: 'dialog', 'aria-modal': 'true', ...(label && { 'aria-label': label }) },
+  });
+  const modalContainer = createElement({ type: 'div', classList: ['h5p-multi-media-choice-modal-container'] });
+  const modalContent = createElement({ type: 'div', classList: ['h5p-multi-media-choice-modal-content', ...classList] });
+  const closeButton = createElement({ type: 'button', classList: ['modal-close-button'], attributes: { 'aria-label': l10n.closeModalText } });
+  const cross = createElement({ type: 'div', classList: ['icon-cross'] });
+
+  modal.appendChild(modalContainer);
+  modalContainer.appendChild(modalContent);
+  modalContent.appendChild(closeButton);
+  closeButton.appendChild(cross);
+  frame.appendChild(modal);
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      closeModal();
+      return;
+    }
+
+    if (event.key === 'Tab' || event.keyCode === 9) { // 9 == TAB
+      // Elements that should be tabbable, queried now as the content may have changed
+      const focusableElements = modal.querySelectorAll(focusableSelector);
+      const firstFocusable = focusableElements[0];
+      const lastFocusable = focusableElements[focusableElements.length - 1];
+
+      // make choice options unavailable from tabs
+      if (document.activeElement !== firstFocusable && document.activeElement !== lastFocusable) {
+        firstFocusable.focus();
+        event.preventDefault();
+      }
+      else if (event.shiftKey) /* shift + tab */ {
+        if (document.activeElement === firstFocusable) {
+          lastFocusable.focus();
+          event.preventDefault();
+        }
+      }
+      else if (document.activeElement === lastFocusable && lastFocusable.nodeName !== 'VIDEO') {
+        // Uploaded videos have their own tab handling
+        firstFocusable.focus();
+        event.preventDefault();
+      }
+      return;
+    }
+
+    onKeyDown(event);
+  };
+
+  const handleClick = (event) => {
+    if (event.target === modal || event.target === modalContainer) {
+      closeModal();
+    }
+  };
+
+  function closeModal() {
+    modal.remove();
+    window.removeEventListener('keydown', handleKeyDown);
+    frame.removeEventListener('click', handleClick);
+    lastFocus.focus();
+    frame.style.minHeight = '0';
+    onClose();
+  }
+
+  closeButton.addEventListener('click', closeModal);
+  window.addEventListener('keydown', handleKeyDown);
+  frame.addEventListener('click', handleClick);
+
+  return { modal, modalContent, closeModal };
+}
+
+/**
+ * Makes the frame tall enough to show the whole modal content
+ *
+ * @param {HTMLElement} frame Element the modal is placed in
+ * @param {HTMLElement} modalContent Content of the modal
+ */
+export function fitFrameToModal(frame, modalContent) {
+  if (frame.offsetHeight - 50 < modalContent.offsetHeight) {
+    frame.style.minHeight = `${modalContent.offsetHeight + 150}px`;
+  }
+}
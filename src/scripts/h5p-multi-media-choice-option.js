@@ -1,4 +1,6 @@
 import { createElement, htmlDecode } from './h5p-multi-media-choice-util.js';
+import MediaTracker from './h5p-multi-media-choice-media-tracker.js';
+import { createModal, fitFrameToModal } from './h5p-multi-media-choice-modal.js';
 
 /** Class representing a multi media option */
 export class MultiMediaChoiceOption {
@@ -6,32 +8,54 @@ export class MultiMediaChoiceOption {
    * @constructor
    * @param {HTMLElement} frame Frame where video modal will spawn
    * @param {object} option Option object from the editor
+   * @param {number} index Index of the option in the order set by the author
    * @param {number} contentId Content's id
    * @param {string} aspectRatio Aspect ratio used if all options should conform to the same size
+   * @param {string} captionPosition Where to show the caption, 'below', 'above' or 'overlay'
    * @param {boolean} singleAnswer true for radio buttons, false for checkboxes
-   * @param {string} missingAltText translatable string for missing alt text
-   * @param {string} closeModalText translatable string for closing modal text
+   * @param {number|null} requiredPlayback Share of the media (0 to 1) to play before the option
+   *   can be selected, null if playing is not required
+   * @param {string} videoPlaybackMode Where videos are played, 'modal', 'inline' or 'fullscreen'
+   * @param {string} imageSizes Width the image is expected to be shown in, until it is laid out
+   * @param {object} l10n Translatable strings
    * @param {boolean} assetsFilePath //TODO: what is this?
    * @param {object} [callbacks = {}] Callbacks.
    */
-  constructor(frame, option, contentId, aspectRatio, singleAnswer, missingAltText, closeModalText, callbacks) {
+  constructor(frame, option, index, contentId, aspectRatio, captionPosition, singleAnswer, requiredPlayback, videoPlaybackMode, imageSizes, l10n, callbacks) {
+    this.index = index;
     this.contentId = contentId;
     this.aspectRatio = aspectRatio;
+    this.captionPosition = captionPosition;
     this.singleAnswer = singleAnswer;
-    this.missingAltText = missingAltText;
-    this.closeModalText = closeModalText;
+    this.requiredPlayback = requiredPlayback;
+    this.videoPlaybackMode = videoPlaybackMode;
+    this.imageSizes = imageSizes;
+    this.l10n = l10n;
 
     this.frame = frame;
     this.option = option;
     this.media = option.media;
     this.correct = option.correct;
+    this.caption = option.caption;
+    this.chosenFeedback = option.feedback?.chosenFeedback;
+    this.notChosenFeedback = option.feedback?.notChosenFeedback;
+    this.clip = this.getClip(option.clip);
+    this.transcript = option.transcript;
+    this.key = this.createKey();
 
     this.callbacks = callbacks || {};
     this.callbacks.onClick = this.callbacks.onClick || (() => {});
     this.callbacks.onKeyboardSelect = this.callbacks.onKeyboardSelect || (() => {});
     this.callbacks.onKeyboardArrowKey = this.callbacks.onKeyboardArrowKey || (() => {});
     this.callbacks.triggerResize = this.callbacks.triggerResize || (() => {});
+    this.callbacks.onImageLoaded = this.callbacks.onImageLoaded || (() => {});
     this.callbacks.pauseAllOtherMedia = this.callbacks.pauseAllOtherMedia || (() => {});
+    this.callbacks.onMediaProgressed = this.callbacks.onMediaProgressed || (() => {});
+    this.callbacks.onMediaCompleted = this.callbacks.onMediaCompleted || (() => {});
+    this.callbacks.onVideoModalOpened = this.callbacks.onVideoModalOpened || (() => {});
+    this.callbacks.onVideoModalClosed = this.callbacks.onVideoModalClosed || (() => {});
+    this.callbacks.onKeyboardShortcut = this.callbacks.onKeyboardShortcut || (() => false);
+    this.callbacks.onZoom = this.callbacks.onZoom || (() => {});
 
     this.wrapper = createElement({ type: 'div', classList: ['h5p-multi-media-choice-option', 'h5p-cardholder', (singleAnswer ? 'h5p-mmc-singleAnswer' : 'h5p-mmc-multiAnswer')] });
     this.content = createElement({
@@ -44,11 +68,21 @@ export class MultiMediaChoiceOption {
     });
 
     this.content.appendChild(this.wrapper);
-    this.enable();
     this.content.addEventListener('click', this.callbacks.onClick);
 
     const mediaContent = this.createMediaContent();
     this.wrapper.appendChild(mediaContent);
+    this.addCaption(mediaContent);
+
+    if (this.requiredPlayback !== null && this.mediaTracker) {
+      this.lock();
+    }
+    this.enable();
+
+    // The caption is the accessible name when given
+    if (this.caption) {
+      this.content.setAttribute('aria-label', htmlDecode(this.caption));
+    }
 
     this.addKeyboardHandlers();
   }
@@ -61,24 +95,40 @@ export class MultiMediaChoiceOption {
    */
   createMediaContent() {
     const mediaWrapper = createElement({ type: 'div', classList: ['h5p-multi-media-choice-media-wrapper'] });
+    this.mediaWrapper = mediaWrapper;
     if (this.aspectRatio !== 'auto') {
       mediaWrapper.classList.add('h5p-multi-media-choice-media-wrapper-specific-ratio');
       mediaWrapper.classList.add(`h5p-multi-media-choice-media-wrapper-${this.aspectRatio}`);
     }
+
+    if (this.isTextOnly()) {
+      mediaWrapper.classList.add('h5p-multi-media-choice-text-only');
+      if (this.caption) {
+        mediaWrapper.appendChild(this.buildCaption());
+      }
+      return mediaWrapper;
+    }
+
     switch (this.media?.library?.split(' ')[0]) {
       case 'H5P.Image':
         mediaWrapper.appendChild(this.buildImage(this.option));
+        if (this.option.narration?.length) {
+          this.buildNarration();
+        }
         break;
       case 'H5P.Video':
         mediaWrapper.appendChild(this.buildImage(this.option));
         this.wrapper.appendChild(this.buildVideo(this.option));
+        this.addTranscriptButton();
         break;
       case 'H5P.Audio':
         mediaWrapper.appendChild(this.buildImage(this.option));
         this.buildAudio();
+        this.addTranscriptButton();
         break;
       default:
-        // Unsupported media type
+        mediaWrapper.appendChild(this.buildOther());
+        this.content.setAttribute('aria-label', htmlDecode(this.getDescription() || ''));
         break;
     }
     return mediaWrapper;
@@ -89,20 +139,97 @@ export class MultiMediaChoiceOption {
    * @returns {string} the description of the option
    */
   getDescription() {
+    if (this.caption) {
+      return this.caption;
+    }
+
     switch (this.media?.library?.split(' ')[0]) {
       case 'H5P.Image':
-        return this.media.params.alt || this.missingAltText; // Alternative text
+        return this.media.params.alt || this.l10n.missingAltText; // Alternative text
+      case 'H5P.AdvancedText':
+        return htmlDecode(this.media.params.text || '').trim() || this.media?.metadata?.title;
+      case 'H5P.Link':
+        return this.media.params.title || this.media.params.linkWidget?.url || this.media?.metadata?.title;
       default:
         return this.media?.metadata?.title;
     }
   }
 
+  /**
+   * @returns {boolean} True if the option has no media, only text
+   */
+  isTextOnly() {
+    return !this.media?.library;
+  }
+
+  /**
+   * @returns {boolean} True if the option shows content other than an image, video or audio
+   */
+  isOtherContent() {
+    return !this.isTextOnly() && !['H5P.Image', 'H5P.Video', 'H5P.Audio'].includes(this.media.library.split(' ')[0]);
+  }
+
+  /**
+   * Builds the visible caption
+   * @returns {HTMLElement} div containing the caption text
+   */
+  buildCaption() {
+    const caption = createElement({ type: 'div', classList: ['h5p-multi-media-choice-caption'] });
+    caption.textContent = htmlDecode(this.caption);
+    return caption;
+  }
+
+  /**
+   * Adds the caption to an option with media, according to the caption position
+   * @param {HTMLElement} mediaWrapper Wrapper of the option's media
+   */
+  addCaption(mediaWrapper) {
+    if (!this.caption || this.isTextOnly()) {
+      return;
+    }
+
+    const caption = this.buildCaption();
+    caption.classList.add(`h5p-multi-media-choice-caption-${this.captionPosition}`);
+
+    switch (this.captionPosition) {
+      case 'above':
+        this.wrapper.insertBefore(caption, mediaWrapper);
+        break;
+      case 'overlay':
+        mediaWrapper.appendChild(caption);
+        break;
+      default:
+        mediaWrapper.insertAdjacentElement('afterend', caption);
+        break;
+    }
+  }
+
+  /**
+   * Adds a label with the option's description next to the media when the option has no caption,
+   * so listed options always show a text
+   */
+  addLabel() {
+    if (this.caption || this.isTextOnly()) {
+      return;
+    }
+
+    const label = createElement({
+      type: 'div',
+      classList: ['h5p-multi-media-choice-caption', 'h5p-multi-media-choice-caption-below'],
+      attributes: { 'aria-hidden': 'true' }, // The description is already the option's accessible name
+    });
+    label.textContent = htmlDecode(this.getDescription() || '');
+    this.mediaWrapper.insertAdjacentElement('afterend', label);
+  }
+
   /**
    * Builds a video player button
    * @returns {HTMLElement} div containing a video player button
    */
   buildVideo() {
     if (this.media.params.sources) {
+      this.mediaTracker = this.createMediaTracker();
+
       const videoButton = createElement({
         type: 'button',
         classList: ['h5p-multi-media-video-button'],
@@ -121,15 +248,11 @@ export class MultiMediaChoiceOption {
         e.stopPropagation();
       };
       videoButton.addEventListener('click', (event) => {
-        const lastFocus = document.activeElement;
-        const modal = this.createVideoPlayer(lastFocus);
-
-        modal.setAttribute('tabindex', '0');
-        modal.focus();
-        modal.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        this.playVideo();
         event.stopPropagation();
       });
 
+      this.videoButton = videoButton;
       return videoButton;
     }
     return document.createElement('div');
@@ -141,21 +264,342 @@ export class MultiMediaChoiceOption {
    */
   buildAudio() {
     if (this.media.params.files) {
-      const $audioWrapper = H5P.jQuery('<div>', {
-        class: `h5p-multi-media-content-audio-wrapper${this.option.poster ? '' : ' h5p-multi-media-content-media-button-centered'}`,
-      });
-      H5P.jQuery(this.wrapper).append($audioWrapper);
-
-      // Only allow minimalistic playerMode
-      this.media.params.playerMode = 'minimalistic';
-      this.media.params.propagateButtonClickEvents = false;
-      this.media.params.autoplay = false;
-      this.instance = H5P.newRunnable(this.media, this.contentId, $audioWrapper, false);
+      this.instance = this.createAudioPlayer(this.media, !!this.option.poster);
+      this.mediaTracker = this.createMediaTracker();
 
-      this.instance.audio.addEventListener('play', () => {
+      const { audio } = this.instance;
+      audio.addEventListener('play', () => {
+        if (!this.isInClip(audio.currentTime)) {
+          audio.currentTime = this.clip.start; // Start, or replay, the clip
+        }
         this.callbacks.pauseAllOtherMedia();
+        this.mediaTracker.handlePlay(this.toClipTime(audio.currentTime));
+      });
+      audio.addEventListener('timeupdate', () => {
+        if (this.isAfterClip(audio.currentTime)) {
+          this.mediaTracker.handleEnded(this.getClipDuration(audio.duration));
+          audio.pause();
+          return;
+        }
+        this.mediaTracker.handleTimeUpdate(
+          this.toClipTime(audio.currentTime), this.getClipDuration(audio.duration),
+        );
       });
+      audio.addEventListener('pause', () => {
+        this.mediaTracker.handlePause(
+          this.toClipTime(audio.currentTime), this.getClipDuration(audio.duration),
+        );
+      });
+      audio.addEventListener('ended', () => {
+        this.mediaTracker.handleEnded(this.getClipDuration(audio.duration));
+      });
+    }
+  }
+
+  /**
+   * Builds an option for other content, e.g. a text or a link, rendered by its own library
+   * @returns {HTMLElement} The rendered content, or an image to be replaced by a placeholder if
+   *   the content is empty or its library could not be loaded
+   */
+  buildOther() {
+    const container = createElement({ type: 'div', classList: ['h5p-multi-media-choice-other'] });
+    try {
+      this.otherInstance = H5P.newRunnable(this.media, this.contentId, H5P.jQuery(container), false);
+    }
+    catch {
+      // The library is not available, a placeholder is shown instead
+    }
+
+    if (!this.otherInstance || (!container.textContent.trim() && !container.querySelector('img, video, canvas, svg'))) {
+      this.otherInstance = undefined;
+      return this.buildImage();
+    }
+
+    // Following a link should not select the option
+    container.querySelectorAll('a').forEach((link) => {
+      link.addEventListener('click', (event) => event.stopPropagation());
+    });
+    container.querySelectorAll('img').forEach((image) => {
+      image.addEventListener('load', this.callbacks.onImageLoaded);
+    });
+
+    return container;
+  }
+
+  /**
+   * Creates a tracker for how much of the media has been played
+   * @returns {MediaTracker} Media tracker reporting through the callbacks
+   */
+  createMediaTracker() {
+    return new MediaTracker({
+      onTimeUpdate: (progress) => this.updateLock(progress),
+      onProgressed: (progress) => {
+        this.updateLock(progress);
+        this.callbacks.onMediaProgressed();
+      },
+      onCompleted: (progress) => {
+        this.updateLock(progress);
+        this.callbacks.onMediaCompleted();
+      },
+    });
+  }
+
+  /**
+   * Adds a button playing the narration of an image option. The narration is not
+   * tracked, so it neither unlocks the option nor counts as media consumed.
+   */
+  buildNarration() {
+    this.instance = this.createAudioPlayer(this.getNarration(), true);
+    this.instance.audio.addEventListener('play', () => this.callbacks.pauseAllOtherMedia());
+  }
+
+  /**
+   * Creates an audio button on top of the option
+   * @param {object} audioMedia H5P.Audio to play
+   * @param {boolean} hasPicture True if a picture is shown below the audio button
+   * @returns {object} H5P.Audio instance
+   */
+  createAudioPlayer(audioMedia, hasPicture) {
+    const $audioWrapper = H5P.jQuery('<div>', {
+      class: `h5p-multi-media-content-audio-wrapper${hasPicture ? '' : ' h5p-multi-media-content-media-button-centered'}`,
+    });
+    H5P.jQuery(this.wrapper).append($audioWrapper);
+
+    // Only allow minimalistic playerMode
+    audioMedia.params.playerMode = 'minimalistic';
+    audioMedia.params.propagateButtonClickEvents = false;
+    audioMedia.params.autoplay = false;
+    return H5P.newRunnable(audioMedia, this.contentId, $audioWrapper, false);
+  }
+
+  /**
+   * Get the narration of an image option as an H5P.Audio
+   * @returns {object} H5P.Audio playing the narration
+   */
+  getNarration() {
+    return {
+      library: 'H5P.Audio 1.5',
+      params: {
+        files: this.option.narration,
+        fitToWrapper: false,
+      },
+      metadata: this.media.metadata,
+    };
+  }
+
+  /**
+   * Lock the option, so it can not be selected before its media has been played
+   */
+  lock() {
+    this.locked = true;
+    this.wrapper.classList.add('h5p-multi-media-choice-locked');
+
+    this.lockedText = createElement({
+      type: 'span',
+      classList: ['hidden-accessibility-solution-text'],
+      attributes: { id: `h5p-multi-media-choice-locked-${this.contentId}-${this.index}` },
+    });
+    this.lockedText.textContent = this.l10n.mediaLocked;
+    this.wrapper.appendChild(this.lockedText);
+    this.content.setAttribute('aria-describedby', this.lockedText.id);
+  }
+
+  /**
+   * Unlock the option if enough of its media has been played
+   * @param {object} progress Progress of the media
+   */
+  updateLock(progress) {
+    if (!this.locked || (!progress.completed && progress.progress < this.requiredPlayback)) {
+      return;
+    }
+
+    this.unlock();
+  }
+
+  /**
+   * Unlock the option, so it can be selected
+   */
+  unlock() {
+    this.locked = false;
+    this.wrapper.classList.remove('h5p-multi-media-choice-locked');
+    if (!this.isEliminated()) {
+      this.content.removeAttribute('aria-describedby');
+    }
+    this.lockedText.remove();
+
+    // Only enable if the option has not been disabled meanwhile
+    if (this.wrapper.classList.contains('h5p-multi-media-choice-enabled')) {
+      this.content.setAttribute('aria-disabled', 'false');
+    }
+  }
+
+  /**
+   * @returns {boolean} True if the option's media must be played before it can be selected
+   */
+  isLocked() {
+    return !!this.locked;
+  }
+
+  /**
+   * @returns {boolean} True if the option was locked when it was built
+   */
+  wasLocked() {
+    return this.locked !== undefined;
+  }
+
+  /**
+   * Grey out and disable the option, as it was ruled out by a hint
+   */
+  eliminate() {
+    this.eliminated = true;
+    this.disable();
+    this.wrapper.classList.add('h5p-multi-media-choice-eliminated');
+
+    this.eliminatedText = createElement({
+      type: 'span',
+      classList: ['hidden-accessibility-solution-text'],
+      attributes: { id: `h5p-multi-media-choice-eliminated-${this.contentId}-${this.index}` },
+    });
+    this.eliminatedText.textContent = this.l10n.eliminatedOption;
+    this.wrapper.appendChild(this.eliminatedText);
+    this.content.setAttribute('aria-describedby', this.eliminatedText.id);
+  }
+
+  /**
+   * Make an eliminated option available again. The option must be enabled separately
+   */
+  removeElimination() {
+    if (!this.eliminated) {
+      return;
+    }
+
+    this.eliminated = false;
+    this.wrapper.classList.remove('h5p-multi-media-choice-eliminated');
+    this.eliminatedText.remove();
+    if (this.isLocked()) {
+      this.content.setAttribute('aria-describedby', this.lockedText.id);
     }
+    else {
+      this.content.removeAttribute('aria-describedby');
+    }
+  }
+
+  /**
+   * @returns {boolean} True if the option was ruled out by a hint
+   */
+  isEliminated() {
+    return !!this.eliminated;
+  }
+
+  /**
+   * Get the part of the media to play
+   * @param {object} [clip] Start and end times set by the author
+   * @returns {object} Start time in seconds, and end time in seconds or null to play to the end
+   */
+  getClip(clip = {}) {
+    const start = clip.start > 0 ? clip.start : 0;
+    const end = clip.end > start ? clip.end : null;
+    return { start, end };
+  }
+
+  /**
+   * @param {number} currentTime Position in the media in seconds
+   * @returns {boolean} True if the position is inside the clip
+   */
+  isInClip(currentTime) {
+    // Allow for players that do not seek precisely
+    return currentTime >= this.clip.start - 0.5 && !this.isAfterClip(currentTime);
+  }
+
+  /**
+   * @param {number} currentTime Position in the media in seconds
+   * @returns {boolean} True if the position is at or after the end of the clip
+   */
+  isAfterClip(currentTime) {
+    return this.clip.end !== null && currentTime >= this.clip.end;
+  }
+
+  /**
+   * @param {number} currentTime Position in the media in seconds
+   * @returns {number} Position in the clip in seconds
+   */
+  toClipTime(currentTime) {
+    return Math.max(0, currentTime - this.clip.start);
+  }
+
+  /**
+   * @param {number} duration Length of the media in seconds
+   * @returns {number} Length of the clip in seconds
+   */
+  getClipDuration(duration) {
+    return (this.clip.end ?? duration) - this.clip.start;
+  }
+
+  /**
+   * Track playback of the video instance
+   */
+  trackVideoPlayback() {
+    this.instance.on('stateChange', (event) => {
+      switch (event.data) {
+        case H5P.Video.PLAYING: {
+          let currentTime = this.instance.getCurrentTime();
+          if (!this.isInClip(currentTime)) {
+            currentTime = this.clip.start; // Start, or replay, the clip
+            this.instance.seek(currentTime);
+          }
+          this.callbacks.pauseAllOtherMedia(); // Inline videos can be played side by side
+          this.mediaTracker.handlePlay(this.toClipTime(currentTime));
+          this.startVideoProgressPolling();
+          break;
+        }
+        case H5P.Video.PAUSED:
+          this.stopVideoProgressPolling();
+          this.mediaTracker.handlePause(
+            this.toClipTime(this.instance.getCurrentTime()),
+            this.getClipDuration(this.instance.getDuration()),
+          );
+          break;
+        case H5P.Video.ENDED:
+          this.stopVideoProgressPolling();
+          this.mediaTracker.handleEnded(this.getClipDuration(this.instance.getDuration()));
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  /**
+   * Report the position of the playing video, as H5P.Video has no time update event
+   */
+  startVideoProgressPolling() {
+    this.stopVideoProgressPolling();
+    this.videoProgressInterval = setInterval(() => {
+      const currentTime = this.instance.getCurrentTime();
+      if (this.isAfterClip(currentTime)) {
+        this.stopVideoProgressPolling();
+        this.mediaTracker.handleEnded(this.getClipDuration(this.instance.getDuration()));
+        this.instance.pause();
+        return;
+      }
+      this.mediaTracker.handleTimeUpdate(
+        this.toClipTime(currentTime), this.getClipDuration(this.instance.getDuration()),
+      );
+    }, this.clip.end !== null ? 250 : 1000); // Check often enough to stop close to the clip end
+  }
+
+  /**
+   * Stop reporting the position of the video
+   */
+  stopVideoProgressPolling() {
+    clearInterval(this.videoProgressInterval);
+  }
+
+  /**
+   * @returns {object|undefined} Progress of the audio or video, undefined if the option has none
+   */
+  getMediaProgress() {
+    return this.mediaTracker?.getProgress();
   }
 
   /**
@@ -166,22 +610,16 @@ export class MultiMediaChoiceOption {
     const alt = this.media.params.alt ? this.media.params.alt : '';
     const title = this.media.params.title ? this.media.params.title : '';
 
-    let path = '';
+    let file;
     switch (this.media?.library?.split(' ')[0]) {
       case 'H5P.Image':
-        if (this.media.params.file) {
-          path = H5P.getPath(this.media.params.file.path, this.contentId);
-        }
+        file = this.media.params.file;
         break;
       case 'H5P.Video':
-        if (this.media.params.visuals.poster) {
-          path = H5P.getPath(this.media.params.visuals.poster.path, this.contentId);
-        }
+        file = this.media.params.visuals.poster;
         break;
       case 'H5P.Audio':
-        if (this.option.poster) {
-          path = H5P.getPath(this.option.poster.path, this.contentId);
-        }
+        file = this.option.poster;
         break;
       default:
         // Unsupported media type
@@ -193,7 +631,6 @@ export class MultiMediaChoiceOption {
       type: 'img',
       classList: ['h5p-multi-media-choice-media'],
       attributes: {
-        src: path,
         alt: htmlDecodedAlt,
       },
     });
@@ -201,8 +638,25 @@ export class MultiMediaChoiceOption {
     if (this.aspectRatio !== 'auto') {
       image.classList.add('h5p-multi-media-choice-media-specific-ratio');
     }
+    else if (file?.width && file?.height) {
+      // Reserve the space of the image, so the layout does not move when it is loaded
+      image.setAttribute('width', file.width);
+      image.setAttribute('height', file.height);
+      image.style.aspectRatio = `${file.width} / ${file.height}`;
+    }
 
-    image.addEventListener('load', this.callbacks.triggerResize);
+    if (file?.path) {
+      this.image = image;
+      this.loadImageLazily(image, {
+        srcset: this.getSrcset(file),
+        src: H5P.getPath(file.path, this.contentId),
+      });
+    }
+    else {
+      image.setAttribute('src', '');
+    }
+
+    image.addEventListener('load', this.callbacks.onImageLoaded);
 
     this.content.setAttribute('aria-label', htmlDecodedAlt);
     this.content.setAttribute('title', htmlDecode(title));
@@ -210,39 +664,314 @@ export class MultiMediaChoiceOption {
     return image;
   }
 
+  /**
+   * Get the sources of the size variants of an image, if the host provides them
+   * as a list of paths and widths in the variants of the image file
+   * @param {object} file Image file
+   * @returns {string|undefined} srcset of the image, undefined if there are no variants
+   */
+  getSrcset(file) {
+    const variants = (file.variants || []).filter((variant) => variant?.path && variant.width > 0);
+    if (!variants.length) {
+      return undefined;
+    }
+
+    if (file.width) {
+      variants.push({ path: file.path, width: file.width });
+    }
+    return variants
+      .map(({ path, width }) => `${H5P.getPath(path, this.contentId)} ${width}w`)
+      .join(', ');
+  }
+
+  /**
+   * Set the sources of an image when it is about to be shown. Browsers without
+   * native lazy loading get the sources when the image nears the viewport.
+   * @param {HTMLElement} image Image to load
+   * @param {object} sources Attributes with the sources of the image, in the order to set them
+   */
+  loadImageLazily(image, sources) {
+    const load = () => {
+      // The sizes must be known before the srcset, or the largest source may be loaded
+      if (sources.srcset) {
+        image.setAttribute('sizes', this.imageSizes);
+      }
+      Object.entries(sources)
+        .filter(([, value]) => value)
+        .forEach(([name, value]) => image.setAttribute(name, value));
+    };
+
+    image.setAttribute('decoding', 'async');
+    if ('loading' in HTMLImageElement.prototype || !window.IntersectionObserver) {
+      image.setAttribute('loading', 'lazy'); // Must be set before the sources
+      load();
+      return;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        observer.disconnect();
+        load();
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(image);
+  }
+
+  /**
+   * Set the width the image is shown in, so the browser can pick the best source of its srcset
+   * @param {number} width Width of the option in pixels
+   */
+  setImageSizes(width) {
+    this.imageSizes = `auto, ${Math.ceil(width)}px`;
+    if (this.image?.hasAttribute('srcset')) {
+      this.image.setAttribute('sizes', this.imageSizes);
+    }
+  }
+
+  /**
+   * Play the video in the option, in full screen or in a modal, as set by the author
+   */
+  playVideo() {
+    if (this.videoPlaybackMode === 'inline') {
+      this.playVideoInline();
+      return;
+    }
+
+    if (this.videoPlaybackMode === 'fullscreen' && document.fullscreenEnabled) {
+      this.playVideoFullscreen();
+      return;
+    }
+
+    this.openVideoModal();
+  }
+
+  /**
+   * Open a modal with the video player
+   */
+  openVideoModal() {
+    const lastFocus = document.activeElement;
+    const modal = this.createVideoPlayer(lastFocus);
+
+    modal.setAttribute('tabindex', '0');
+    modal.focus();
+    modal.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  /**
+   * Replace the poster of the option with the video player.
+   * Clicks on the player do not select the option.
+   */
+  playVideoInline() {
+    const videoContainer = this.buildVideoContainer('h5p-multi-media-choice-video-inline');
+    this.mediaWrapper.appendChild(videoContainer);
+    this.mediaWrapper.classList.add('h5p-multi-media-choice-playing-inline');
+    this.videoButton.remove();
+
+    this.callbacks.pauseAllOtherMedia();
+    this.attachVideo(H5P.jQuery(videoContainer), {
+      fit: this.aspectRatio !== 'auto',
+      autoplay: true,
+    });
+    this.instance.on('loaded', () => this.callbacks.triggerResize());
+
+    videoContainer.focus();
+    this.callbacks.triggerResize();
+  }
+
+  /**
+   * Play the video in full screen. When full screen is left, the video is paused
+   */
+  playVideoFullscreen() {
+    if (!this.fullscreenContainer) {
+      this.fullscreenContainer = this.buildVideoContainer('h5p-multi-media-choice-video-fullscreen');
+      this.wrapper.appendChild(this.fullscreenContainer);
+
+      document.addEventListener('fullscreenchange', () => {
+        if (!this.isFullscreen || document.fullscreenElement === this.fullscreenContainer) {
+          return;
+        }
+        this.isFullscreen = false;
+        this.fullscreenContainer.classList.remove('h5p-multi-media-choice-video-fullscreen-active');
+        this.pauseMedia();
+        this.videoButton.focus();
+        this.callbacks.onVideoModalClosed();
+      });
+    }
+
+    this.fullscreenContainer.classList.add('h5p-multi-media-choice-video-fullscreen-active');
+    this.callbacks.pauseAllOtherMedia();
+    this.attachVideo(H5P.jQuery(this.fullscreenContainer), { fit: true, autoplay: true });
+
+    this.fullscreenContainer.requestFullscreen()
+      .then(() => {
+        this.isFullscreen = true;
+        this.callbacks.onVideoModalOpened();
+        this.fullscreenContainer.focus();
+      })
+      .catch(() => {
+        // Full screen was refused, so use the modal instead
+        this.fullscreenContainer.classList.remove('h5p-multi-media-choice-video-fullscreen-active');
+        this.openVideoModal();
+      });
+  }
+
+  /**
+   * Build a container for the video player that does not pass clicks on to the option
+   * @param {string} className Class name of the container
+   * @returns {HTMLElement} Container for the video player
+   */
+  buildVideoContainer(className) {
+    const videoContainer = createElement({
+      type: 'div',
+      classList: [className],
+      attributes: { tabindex: '-1' },
+    });
+    videoContainer.addEventListener('click', (event) => event.stopPropagation());
+    return videoContainer;
+  }
+
+  /**
+   * Add a button showing the transcript of the audio or video, if the author has written one
+   */
+  addTranscriptButton() {
+    if (!this.transcript) {
+      return;
+    }
+
+    const transcriptButton = createElement({
+      type: 'button',
+      classList: ['h5p-multi-media-choice-transcript-button'],
+      attributes: { 'aria-haspopup': 'dialog' },
+    });
+    transcriptButton.textContent = this.l10n.transcript;
+
+    transcriptButton.addEventListener('click', (event) => {
+      event.stopPropagation(); // Do not toggle the option
+      this.openTranscript(transcriptButton);
+    });
+
+    this.wrapper.appendChild(transcriptButton);
+  }
+
+  /**
+   * Build the element showing the transcript
+   * @returns {HTMLElement} Transcript element
+   */
+  buildTranscript() {
+    const transcript = createElement({
+      type: 'div',
+      classList: ['h5p-multi-media-choice-transcript'],
+      attributes: {
+        role: 'region',
+        'aria-label': this.l10n.transcript,
+        tabindex: '0', // Long transcripts can be scrolled with the keyboard
+      },
+    });
+    transcript.innerHTML = this.transcript;
+    return transcript;
+  }
+
+  /**
+   * Show the transcript in a modal
+   * @param {HTMLElement} lastFocus Element to focus when the modal is closed
+   */
+  openTranscript(lastFocus) {
+    const { modal, modalContent } = createModal(this.frame, lastFocus, this.l10n, {
+      classList: ['h5p-multi-media-choice-transcript-modal'],
+      label: `${this.l10n.transcript}: ${htmlDecode(this.getDescription() || '')}`,
+      focusableSelector: 'button:not([disabled]), .h5p-multi-media-choice-transcript',
+      onClose: () => this.callbacks.triggerResize(),
+    });
+
+    modalContent.appendChild(this.buildTranscript());
+    this.resizeWindow(modalContent);
+    this.callbacks.triggerResize();
+
+    modal.querySelector('.modal-close-button').focus();
+    modal.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  /**
+   * Add a button below the video player that shows and hides the transcript
+   * @param {HTMLElement} modalContent Content of the video modal
+   */
+  addTranscriptToggle(modalContent) {
+    const transcript = this.buildTranscript();
+    transcript.id = `h5p-multi-media-choice-transcript-${this.contentId}-${this.index}`;
+    transcript.hidden = true;
+
+    const toggle = createElement({
+      type: 'button',
+      classList: ['h5p-multi-media-choice-transcript-toggle'],
+      attributes: { 'aria-expanded': 'false', 'aria-controls': transcript.id },
+    });
+    toggle.textContent = this.l10n.transcript;
+
+    toggle.addEventListener('click', () => {
+      transcript.hidden = !transcript.hidden;
+      toggle.setAttribute('aria-expanded', transcript.hidden ? 'false' : 'true');
+      this.resizeWindow(modalContent);
+      this.callbacks.triggerResize();
+    });
+
+    modalContent.appendChild(toggle);
+    modalContent.appendChild(transcript);
+  }
+
+  /**
+   * Attach the video player to a container, creating the player the first time
+   * @param {H5P.jQuery} $container Container to attach the player to
+   * @param {object} [settings] Settings of the player
+   * @param {boolean} [settings.fit] True to fit the video to the container
+   * @param {boolean} [settings.autoplay] True to start playing right away
+   */
+  attachVideo($container, { fit = false, autoplay = false } = {}) {
+    this.media.params.visuals.poster = undefined;
+    this.media.params.visuals.fit = fit;
+
+    if (!this.instance) {
+      if (autoplay) {
+        this.media.params.playback = { ...this.media.params.playback, autoplay: true };
+      }
+      this.instance = H5P.newRunnable(this.media, this.contentId, $container, true);
+      this.trackVideoPlayback();
+    }
+    else {
+      if (this.videoContainer !== $container.get(0)) {
+        this.instance.attach($container);
+        this.instance.trigger('resize');
+      }
+      if (autoplay) {
+        this.instance.play();
+      }
+    }
+    this.videoContainer = $container.get(0);
+  }
+
   /**
    *  Creates a modal containing a video player
    *  @param {HTMLElement} lastFocus element that had focus before modal opened
    */
   createVideoPlayer(lastFocus) {
-    const modal = createElement({ type: 'div', classList: ['h5p-multi-media-modal'], attributes: { 'aria-modal': 'true' } });
-    const modalContainer = createElement({ type: 'div', classList: ['h5p-multi-media-choice-modal-container'] });
-    const modalContent = createElement({ type: 'div', classList: ['h5p-multi-media-choice-modal-content'] });
-    const closeButton = createElement({ type: 'button', classList: ['modal-close-button'], attributes: { 'aria-label': this.closeModalText } });
-    const cross = createElement({ type: 'div', classList: ['icon-cross'] });
-
-    modal.appendChild(modalContainer);
-    modalContainer.appendChild(modalContent);
-    modalContent.appendChild(closeButton);
-    closeButton.appendChild(cross);
-    this.frame.appendChild(modal);
+    const { modal, modalContent } = createModal(this.frame, lastFocus, this.l10n, {
+      focusableSelector: '.h5p-video, button:not([disabled]), .h5p-multi-media-choice-transcript:not([hidden])',
+      onClose: () => {
+        window.removeEventListener('resize', handleResize);
+        resize();
+        onClosed();
+      },
+    });
 
-    this.media.params.visuals.poster = undefined;
     const newDiv = H5P.jQuery('<div></div>');
     H5P.jQuery(modalContent).append(newDiv);
 
     // Disable fit to wrapper
-    this.media.params.visuals.fit = false;
+    this.attachVideo(newDiv, { fit: false });
+    const { instance } = this;
 
-    if (!this.instance) {
-      this.instance = H5P.newRunnable(this.media, this.contentId, newDiv, true);
-    }
-    else {
-      this.instance.attach(newDiv);
-      this.instance.trigger('resize');
+    if (this.transcript) {
+      this.addTranscriptToggle(modalContent);
     }
-    const { instance } = this;
-    const { frame } = this;
     // Resize frame if content of modal grows bigger than frame
     const resizeFrame = (content) => this.resizeWindow(content);
 
@@ -254,77 +983,68 @@ export class MultiMediaChoiceOption {
     window.addEventListener('resize', handleResize);
 
     this.callbacks.pauseAllOtherMedia();
+    this.callbacks.onVideoModalOpened();
     const resize = () => this.callbacks.triggerResize();
+    const onClosed = () => this.callbacks.onVideoModalClosed();
 
     instance.on(this.media.params?.sources[0]?.mime === 'video/Panopto' ? 'containerLoaded' : 'loaded', (e) => {
       resize();
       resizeFrame(modalContent);
     });
 
-    const closeModal = function () {
-      modal.remove();
-      window.removeEventListener('keydown', handleKeyDown);
-      frame.removeEventListener('click', handleClick);
-      window.removeEventListener('resize', handleResize);
-      lastFocus.focus();
-      frame.style.minHeight = '0';
-      resize();
-    };
-
-    closeButton.addEventListener('click', closeModal);
-
-    // Add elements that should be tabbable is in this list
-    const focusableElements = modal.querySelectorAll('.h5p-video, button:not([disabled])');
-    const firstFocusable = focusableElements[0];
-    const lastFocusable = focusableElements[focusableElements.length - 1];
+    resize();
+    this.resizeWindow(modalContent);
+    return modal;
+  }
 
-    const handleKeyDown = function (event) {
-      if (event.key === 'Escape') {
-        closeModal();
-      }
+  /**
+   * @returns {boolean} True if the option shows an image that can be enlarged
+   */
+  canBeZoomed() {
+    return this.media?.library?.split(' ')[0] === 'H5P.Image' && !!this.media.params.file;
+  }
 
-      if (event.key === 'Tab' || event.keyCode === 9) { // 9 == TAB
-        // make choice options unavailable from tabs
-        if (document.activeElement !== firstFocusable && document.activeElement !== lastFocusable) {
-          firstFocusable.focus();
-          event.preventDefault();
-        }
-        else if (event.shiftKey) /* shift + tab */ {
-          if (document.activeElement === firstFocusable) {
-            lastFocusable.focus();
-            event.preventDefault();
-          }
-        }
-        else if (document.activeElement === lastFocusable && lastFocusable.nodeName !== 'VIDEO') {
-          // Uploaded videos have their own tab handling
-          firstFocusable.focus();
-          event.preventDefault();
-        }
-      }
-    };
+  /**
+   * @returns {string} Path of the option's image
+   */
+  getImageSource() {
+    return H5P.getPath(this.media.params.file.path, this.contentId);
+  }
 
-    window.addEventListener('keydown', handleKeyDown);
+  /**
+   * @returns {string} Alternative text of the option's image
+   */
+  getImageAlt() {
+    return htmlDecode(this.media.params.alt || '');
+  }
 
-    const handleClick = function (event) {
-      if (event.target === modal || event.target === modalContainer) {
-        closeModal();
-      }
-    };
+  /**
+   * Add a button opening the image in a larger preview
+   */
+  addZoomButton() {
+    const zoomButton = createElement({
+      type: 'button',
+      classList: ['h5p-multi-media-choice-zoom-button'],
+      attributes: {
+        'aria-label': this.l10n.zoomImage,
+        tabindex: this.content.getAttribute('tabindex') === '0' ? '0' : '-1',
+      },
+    });
+    this.zoomButton = zoomButton;
 
-    frame.addEventListener('click', handleClick);
+    zoomButton.addEventListener('click', (event) => {
+      event.stopPropagation(); // Do not toggle the option
+      this.callbacks.onZoom();
+    });
 
-    resize();
-    this.resizeWindow(modalContent);
-    return modal;
+    this.wrapper.appendChild(zoomButton);
   }
 
   /**
    * Resizes window if it is too small for modal
    */
   resizeWindow(modalContent) {
-    if (this.frame.offsetHeight - 50 < modalContent.offsetHeight) {
-      this.frame.style.minHeight = `${modalContent.offsetHeight + 150}px`;
-    }
+    fitFrameToModal(this.frame, modalContent);
   }
 
   /**
@@ -334,6 +1054,60 @@ export class MultiMediaChoiceOption {
     return this.content.getAttribute('aria-checked') === 'true';
   }
 
+  /**
+   * @returns {number} Index of the option in the order set by the author
+   */
+  getIndex() {
+    return this.index;
+  }
+
+  /**
+   * Create a key identifying the option, which does not change if other options are
+   * added, removed or moved. Options with media are identified by it, options with
+   * only text by their caption. Only options with neither fall back to their index.
+   * @returns {string} Key of the option
+   */
+  createKey() {
+    if (this.media?.subContentId) {
+      return this.media.subContentId;
+    }
+
+    const caption = htmlDecode(this.caption || '').trim();
+    return caption ? `caption-${caption}` : `index-${this.index}`;
+  }
+
+  /**
+   * @returns {string} Key of the option
+   */
+  getKey() {
+    return this.key;
+  }
+
+  /**
+   * @param {string} key Key of the option, e.g. when its caption is used by another option too
+   */
+  setKey(key) {
+    this.key = key;
+  }
+
+  /**
+   * @returns {number} Points given for choosing the option. Defaults to 1 if correct and 0 if not
+   */
+  getWeight() {
+    if (typeof this.option.points === 'number') {
+      return this.option.points;
+    }
+    return this.correct ? 1 : 0;
+  }
+
+  /**
+   * @param {number} [fullWeight] Points of a fully correct option, undefined if not weighted
+   * @returns {boolean} True if the option is correct, but gives fewer points than the best option
+   */
+  isPartiallyCorrect(fullWeight) {
+    return fullWeight !== undefined && this.correct && this.getWeight() < fullWeight;
+  }
+
   /**
    * @returns {boolean} True if the option is correct
    */
@@ -359,7 +1133,8 @@ export class MultiMediaChoiceOption {
 
   /**
    * Sets the tab index to either -1 or 0
-   * If anything else is passed as an argument, then 0 will be used
+   * If anything else is passed as an argument, then 0 will be used.
+   * The zoom button can only be tabbed to on the option holding the tab stop.
    * @param {number} tabIndex -1 or 0
    */
   setTabIndex(tabIndex) {
@@ -373,6 +1148,7 @@ export class MultiMediaChoiceOption {
       default:
         this.content.setAttribute('tabindex', '0');
     }
+    this.zoomButton?.setAttribute('tabindex', this.content.getAttribute('tabindex'));
   }
 
   /**
@@ -397,6 +1173,14 @@ export class MultiMediaChoiceOption {
     this.wrapper.classList.remove('selected');
   }
 
+  /**
+   * Announce the key that toggles this option
+   * @param {string} key Shortcut key
+   */
+  setKeyboardShortcut(key) {
+    this.content.setAttribute('aria-keyshortcuts', key);
+  }
+
   /**
    * Set focus to this object
    */
@@ -408,7 +1192,7 @@ export class MultiMediaChoiceOption {
    * Enables the selectable of the option
    */
   enable() {
-    this.content.setAttribute('aria-disabled', 'false');
+    this.content.setAttribute('aria-disabled', this.isLocked() ? 'true' : 'false');
     this.wrapper.classList.add('h5p-multi-media-choice-enabled');
   }
 
@@ -423,45 +1207,102 @@ export class MultiMediaChoiceOption {
 
   /**
    * Shows if the answer selected is correct or wrong in the UI and screen reader if selected
+   * @param {object} l10n Texts for the screen reader
+   * @param {number} [fullWeight] Points of a fully correct option, undefined if not weighted
    */
-  showSelectedSolution({ correctAnswer, wrongAnswer }) {
+  showSelectedSolution({ correctAnswer, partiallyCorrectAnswer, wrongAnswer }, fullWeight) {
     this.wrapper.classList.remove('selected');
     if (this.isSelected()) {
-      if (this.correct) {
+      if (this.isPartiallyCorrect(fullWeight)) {
+        this.wrapper.classList.add('h5p-multi-media-choice-correct');
+        this.wrapper.classList.add('h5p-multi-media-choice-partially-correct');
+        this.addAccessibilitySolutionText(partiallyCorrectAnswer, this.chosenFeedback);
+      }
+      else if (this.correct) {
         this.wrapper.classList.add('h5p-multi-media-choice-correct');
-        this.addAccessibilitySolutionText(correctAnswer);
+        this.addAccessibilitySolutionText(correctAnswer, this.chosenFeedback);
       }
       else {
         this.wrapper.classList.add('h5p-multi-media-choice-wrong');
-        this.addAccessibilitySolutionText(wrongAnswer);
+        this.addAccessibilitySolutionText(wrongAnswer, this.chosenFeedback);
       }
+      this.showFeedback(this.chosenFeedback);
     }
   }
 
   /**
    * Shows if the answer was correct in the UI and screen reader
+   * @param {object} l10n Texts for the screen reader
+   * @param {number} [fullWeight] Points of a fully correct option, undefined if not weighted
    */
-  showUnselectedSolution({ shouldCheck, shouldNotCheck }) {
+  showUnselectedSolution({ shouldCheck, shouldNotCheck }, fullWeight) {
     if (!this.isSelected()) {
       if (this.correct) {
         this.wrapper.classList.add('h5p-multi-media-choice-show-correct');
-        this.addAccessibilitySolutionText(shouldCheck);
+        if (this.isPartiallyCorrect(fullWeight)) {
+          this.wrapper.classList.add('h5p-multi-media-choice-partially-correct');
+        }
+        this.addAccessibilitySolutionText(shouldCheck, this.notChosenFeedback);
       }
       else {
-        this.addAccessibilitySolutionText(shouldNotCheck);
+        this.addAccessibilitySolutionText(shouldNotCheck, this.notChosenFeedback);
       }
+      this.showFeedback(this.notChosenFeedback);
     }
   }
 
   /**
    * Adds solution feedback for screen reader
+   * @param {string} solutionText Text telling if the option was right or wrong
+   * @param {string} [feedback] Feedback written by the author for this option
    */
-  addAccessibilitySolutionText(solutionText) {
+  addAccessibilitySolutionText(solutionText, feedback) {
+    this.removeAccessibilitySolutionText();
     this.accessibilitySolutionText = createElement({ type: 'span', classList: ['hidden-accessibility-solution-text'] });
-    this.accessibilitySolutionText.innerText = `${solutionText}.`;
+    this.accessibilitySolutionText.innerText = feedback
+      ? `${solutionText}. ${htmlDecode(feedback)}`
+      : `${solutionText}.`;
     this.wrapper.appendChild(this.accessibilitySolutionText);
   }
 
+  /**
+   * Removes the solution feedback for screen reader
+   */
+  removeAccessibilitySolutionText() {
+    if (this.accessibilitySolutionText?.parentNode) {
+      this.accessibilitySolutionText.parentNode.removeChild(this.accessibilitySolutionText);
+    }
+  }
+
+  /**
+   * Shows the feedback written by the author inside the option
+   * The text is hidden from screen readers, as it is part of the solution text
+   * @param {string} [feedback] Feedback to show
+   */
+  showFeedback(feedback) {
+    this.removeFeedback();
+    if (!feedback) {
+      return;
+    }
+
+    this.feedbackElement = createElement({
+      type: 'div',
+      classList: ['h5p-multi-media-choice-option-feedback'],
+      attributes: { 'aria-hidden': 'true' },
+    });
+    this.feedbackElement.innerHTML = feedback;
+    this.wrapper.appendChild(this.feedbackElement);
+  }
+
+  /**
+   * Removes the feedback shown inside the option
+   */
+  removeFeedback() {
+    if (this.feedbackElement?.parentNode) {
+      this.feedbackElement.parentNode.removeChild(this.feedbackElement);
+    }
+  }
+
   /**
    * Hides any information about solution in the UI and screen reader
    */
@@ -469,11 +1310,9 @@ export class MultiMediaChoiceOption {
     this.wrapper.classList.remove('h5p-multi-media-choice-correct');
     this.wrapper.classList.remove('h5p-multi-media-choice-show-correct');
     this.wrapper.classList.remove('h5p-multi-media-choice-wrong');
-    if (this.accessibilitySolutionText) {
-      if (this.accessibilitySolutionText.parentNode) {
-        this.accessibilitySolutionText.parentNode.removeChild(this.accessibilitySolutionText);
-      }
-    }
+    this.wrapper.classList.remove('h5p-multi-media-choice-partially-correct');
+    this.removeAccessibilitySolutionText();
+    this.removeFeedback();
   }
 
   /**
@@ -485,11 +1324,11 @@ export class MultiMediaChoiceOption {
       switch (event.key) {
         case 'Enter':
         case ' ': // The space key
-          if (this.isDisabled()) {
-            return;
+          if (this.isDisabled() && !this.isLocked()) {
+            return; // Locked options are handled to announce why they can not be selected
           }
 
-          if (!(document.activeElement.tagName === 'BUTTON')) {
+          if (event.target === this.content) { // Not on buttons or media controls in the option
             event.preventDefault(); // Disable scrolling
             this.callbacks.onKeyboardSelect(this);
           }
@@ -497,28 +1336,23 @@ export class MultiMediaChoiceOption {
 
         case 'ArrowLeft':
         case 'ArrowUp':
-          if (!this.singleAnswer) {
-            return;
-          }
-          event.preventDefault(); // Disable scrolling
-          if (this.getDOM() === this.getDOM().parentNode.firstChild) {
-            return;
-          }
-          this.callbacks.onKeyboardArrowKey(event.code.replace('Arrow', ''));
-          break;
-
         case 'ArrowRight':
         case 'ArrowDown':
-          if (!this.singleAnswer) {
-            return;
+        case 'Home':
+        case 'End':
+          if (event.target !== this.content) {
+            return; // Keys are used by media controls inside the option
           }
           event.preventDefault(); // Disable scrolling
-          if (this.getDOM() === this.getDOM().parentNode.lastChild) {
-            return;
-          }
-          this.callbacks.onKeyboardArrowKey(event.code.replace('Arrow', ''));
+          this.callbacks.onKeyboardArrowKey(event.key.replace('Arrow', ''));
           break;
         default:
+          if (event.target !== this.content || event.ctrlKey || event.altKey || event.metaKey) {
+            return;
+          }
+          if (this.callbacks.onKeyboardShortcut(event.key)) {
+            event.preventDefault();
+          }
           break;
       }
     });
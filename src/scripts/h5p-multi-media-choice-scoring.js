@@ -0,0 +1,125 @@
+/**
+ * Scoring used for questions where only a single answer can be selected,
+ * unless the strategy defines its own.
+ */
+const SINGLE_ANSWER_SCORING = {
+  getSingleAnswerScore: (option) => (option.isCorrect() ? 1 : 0),
+  getSingleAnswerMaxScore: () => 1,
+};
+
+/**
+ * Scoring strategies for questions where multiple answers can be selected.
+ * Each strategy calculates the score and maximum score from the options.
+ */
+const SCORING_STRATEGIES = {
+  /**
+   * 1 point for each correct option selected, -1 point for each wrong option selected
+   */
+  rightMinusWrong: {
+    getScore: (options) => Math.max(0, options.reduce((score, option) => {
+      if (!option.isSelected()) {
+        return score;
+      }
+      return option.isCorrect() ? score + 1 : score - 1;
+    }, 0)),
+    getMaxScore: (options) => countCorrectOptions(options),
+  },
+
+  /**
+   * 1 point for each correct option selected, wrong options are not penalized
+   */
+  correctOnly: {
+    getScore: (options) => options
+      .filter((option) => option.isSelected() && option.isCorrect()).length,
+    getMaxScore: (options) => countCorrectOptions(options),
+  },
+
+  /**
+   * Full score if exactly the correct options are selected, otherwise no score
+   */
+  allOrNothing: {
+    getScore: (options) => (options.every((option) => option.isSelected() === !!option.isCorrect())
+      ? countCorrectOptions(options)
+      : 0),
+    getMaxScore: (options) => countCorrectOptions(options),
+  },
+
+  /**
+   * 1 point for each option that is correctly selected or correctly left unselected
+   */
+  perOption: {
+    getScore: (options) => options
+      .filter((option) => option.isSelected() === !!option.isCorrect()).length,
+    getMaxScore: (options) => options.length,
+  },
+
+  /**
+   * Sum of the points of the selected options, where negative points are penalties
+   */
+  weighted: {
+    getScore: (options) => roundScore(Math.max(0, options
+      .filter((option) => option.isSelected())
+      .reduce((score, option) => score + option.getWeight(), 0))),
+    getMaxScore: (options) => roundScore(options
+      .reduce((score, option) => score + Math.max(0, option.getWeight()), 0)),
+    getSingleAnswerScore: (option) => roundScore(Math.max(0, option.getWeight())),
+    getSingleAnswerMaxScore: (options) => getMaxWeight(options),
+  },
+};
+
+/**
+ * Get the scoring strategy for a scoring mode
+ *
+ * @param {string} scoringMode Name of the scoring mode
+ * @returns {object} Strategy with score functions, defaults to rightMinusWrong
+ */
+export function getScoringStrategy(scoringMode) {
+  return {
+    ...SINGLE_ANSWER_SCORING,
+    ...(SCORING_STRATEGIES[scoringMode] || SCORING_STRATEGIES.rightMinusWrong),
+  };
+}
+
+/**
+ * Get the highest number of points given by a single option
+ *
+ * @param {object[]} options Array containing the option objects
+ * @returns {number} Highest weight, at least 0
+ */
+export function getMaxWeight(options) {
+  return roundScore(Math.max(0, ...options.map((option) => option.getWeight())));
+}
+
+/**
+ * Lower the highest score that can be achieved by a penalty for each hint used
+ *
+ * @param {number} score Score given for the selected options
+ * @param {number} maxScore Maximum score of the task
+ * @param {number} hintsUsed Number of hints used
+ * @param {number} penalty Points subtracted from the maximum score per hint
+ * @returns {number} Score, at most the maximum score minus the penalties
+ */
+export function applyHintPenalty(score, maxScore, hintsUsed, penalty) {
+  const maxAchievableScore = Math.max(0, maxScore - hintsUsed * penalty);
+  return roundScore(Math.min(score, maxAchievableScore));
+}
+
+/**
+ * Counts the correct options
+ *
+ * @param {object[]} options Array containing the option objects
+ * @returns {number} Number of correct options
+ */
+function countCorrectOptions(options) {
+  return options.filter((option) => option.isCorrect()).length;
+}
+
+/**
+ * Rounds a score to two decimals to avoid floating point errors from fractional points
+ *
+ * @param {number} score Score to round
+ * @returns {number} Rounded score
+ */
+function roundScore(score) {
+  return Math.round(score * 100) / 100;
+}
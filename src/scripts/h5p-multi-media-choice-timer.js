@@ -0,0 +1,136 @@
+import { createElement } from './h5p-multi-media-choice-util.js';
+
+/** Seconds left when the remaining time is announced to screen readers */
+const ANNOUNCEMENT_TIMES = [60, 30, 10];
+
+/** Class representing the countdown timer */
+export default class Timer {
+  /**
+   * @constructor
+   * @param {number} timeLimit Time limit in seconds
+   * @param {object} l10n Translatable strings
+   * @param {object} [callbacks = {}] Callbacks.
+   */
+  constructor(timeLimit, l10n, callbacks = {}) {
+    this.timeLimit = timeLimit;
+    this.l10n = l10n;
+
+    this.callbacks = callbacks;
+    this.callbacks.onExpired = this.callbacks.onExpired || (() => {});
+    this.callbacks.read = this.callbacks.read || (() => {});
+
+    this.timeRemaining = timeLimit;
+    this.interval = null;
+    this.isPaused = false;
+
+    this.timer = createElement({
+      type: 'div',
+      classList: ['h5p-multi-media-choice-timer'],
+      attributes: {
+        role: 'timer',
+        'aria-atomic': 'true',
+      },
+    });
+    this.update();
+  }
+
+  /**
+   * Return the DOM for this class
+   * @return {HTMLElement} DOM for this class
+   */
+  getDOM() {
+    return this.timer;
+  }
+
+  /**
+   * Start counting down
+   */
+  start() {
+    if (this.interval || this.timeRemaining <= 0) {
+      return;
+    }
+
+    this.lastTick = Date.now();
+    this.interval = setInterval(() => this.tick(), 250);
+  }
+
+  /**
+   * Stop counting down
+   */
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  /**
+   * Pause the countdown, e.g. while a video is watched
+   */
+  pause() {
+    if (this.interval) {
+      this.tick();
+      this.stop();
+      this.isPaused = true;
+    }
+  }
+
+  /**
+   * Continue a paused countdown
+   */
+  resume() {
+    if (this.isPaused) {
+      this.isPaused = false;
+      this.start();
+    }
+  }
+
+  /**
+   * Set the remaining time back to the full time limit
+   * @param {number} [timeRemaining] Time to start from, e.g. when resuming
+   */
+  reset(timeRemaining = this.timeLimit) {
+    this.stop();
+    this.isPaused = false;
+    this.timeRemaining = Math.min(this.timeLimit, Math.max(0, timeRemaining));
+    this.update();
+  }
+
+  /**
+   * @returns {number} Remaining time in seconds
+   */
+  getTimeRemaining() {
+    return Math.ceil(this.timeRemaining);
+  }
+
+  /**
+   * Subtract the time passed since the last tick
+   */
+  tick() {
+    const now = Date.now();
+    const secondsBefore = this.getTimeRemaining();
+    this.timeRemaining = Math.max(0, this.timeRemaining - (now - this.lastTick) / 1000);
+    this.lastTick = now;
+
+    const seconds = this.getTimeRemaining();
+    if (seconds !== secondsBefore) {
+      this.update();
+      if (ANNOUNCEMENT_TIMES.includes(seconds) && seconds < this.timeLimit) {
+        this.callbacks.read(this.l10n.timeAlmostUp.replace('@seconds', seconds));
+      }
+    }
+
+    if (this.timeRemaining <= 0) {
+      this.stop();
+      this.callbacks.onExpired();
+    }
+  }
+
+  /**
+   * Update the displayed time
+   */
+  update() {
+    const seconds = this.getTimeRemaining();
+    const minutes = Math.floor(seconds / 60);
+    const time = `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    this.timer.textContent = this.l10n.timeRemaining.replace('@time', time);
+  }
+}
@@ -15,10 +15,29 @@ export class Util {
           enableSolutionsButton: true,
           enableRetry: true,
           questionType: 'auto',
+          randomizeOptions: false,
+          scoringMode: 'rightMinusWrong',
+          requireMediaPlayback: false,
+          requiredPlaybackPercentage: 100,
+          timeLimit: 0,
+          maxAttempts: 0,
+          scorePolicy: 'last',
+          hintType: 'none',
+          hintPenalty: 1,
+          enableKeyboardShortcuts: false,
+          checkAnswerKey: 'c',
+          disableImageZooming: false,
+          videoPlaybackMode: 'modal',
+          pauseTimerDuringVideo: false,
           confirmCheckDialog: false,
           confirmRetryDialog: false,
           aspectRatio: 'auto',
+          captionPosition: 'below',
           maxAlternativesPerRow: 4,
+          columnBreakpoints: [],
+          minOptionWidth: 210,
+          optionGap: 20,
+          layout: 'masonry',
         },
         l10n: {
           checkAnswerButtonText: 'Check',
@@ -28,6 +47,7 @@ export class Util {
           showSolutionButtonText: 'Show solution',
           showSolution: 'Show the solution. The task will be marked with its correct solution.',
           correctAnswer: 'Correct answer',
+          partiallyCorrectAnswer: 'Partially correct answer',
           wrongAnswer: 'Wrong answer',
           shouldCheck: 'Should have been checked',
           shouldNotCheck: 'Should not have been checked',
@@ -48,12 +68,47 @@ export class Util {
             confirmLabel: 'Retry',
           },
           missingAltText: 'Alt text missing',
+          closeModalText: 'Close modal',
+          mediaLocked: 'Play the media before selecting this option.',
+          selectionCounter: '@count of @max selected',
+          selectionCounterMinimum: '@count selected, select at least @min',
+          maxSelectionsReached: 'You can select at most @max options. Unselect an option to select another one.',
+          timeRemaining: 'Time remaining: @time',
+          timeAlmostUp: '@seconds seconds left',
+          timeUp: 'Time is up. Your answer has been checked.',
+          noAttemptsLeft: 'You have used all your attempts. The solution is shown.',
+          hintButtonText: 'Hint',
+          hint: 'Get a hint. Using a hint lowers the score you can achieve.',
+          eliminatedOption: 'Ruled out by a hint.',
+          optionEliminated: '@option was ruled out, as it is wrong.',
+          zoomImage: 'Enlarge image',
+          imagePreview: 'Enlarged image',
+          imagePosition: 'Image @current of @total',
+          previousImage: 'Previous image',
+          nextImage: 'Next image',
+          previousOptions: 'Previous options',
+          nextOptions: 'Next options',
+          transcript: 'Transcript',
         },
       },
       params,
     );
   }
 
+  /**
+   * Shuffle an array using the Fisher-Yates algorithm
+   * @param {any[]} array Array to shuffle
+   * @returns {any[]} New array with the same elements in random order
+   */
+  static shuffleArray(array) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
   /**
    * Merge the contents of two or more objects together and return it
    * @param {object} out
@@ -88,6 +143,14 @@ export class Util {
   }
 }
 
+/**
+ * Get an ISO 8601 duration
+ *
+ * @param {number} seconds Duration in seconds
+ * @returns {string} Duration, e.g. PT12.5S
+ */
+export const toISO8601Duration = (seconds) => `PT${Math.round(seconds * 100) / 100}S`;
+
 /**
  * Get plain text
  *
@@ -1,12 +1,73 @@
-import { htmlDecode } from './h5p-multi-media-choice-util';
+import { htmlDecode, toISO8601Duration } from './h5p-multi-media-choice-util';
+
+const XAPI_MEDIA_CONSUMED = 'https://h5p.org/x-api/media-consumed';
+const XAPI_VIDEO_PROGRESS = 'https://w3id.org/xapi/video/extensions/progress';
+const XAPI_VIDEO_LENGTH = 'https://w3id.org/xapi/video/extensions/length';
+const XAPI_ATTEMPTS = 'https://h5p.org/x-api/attempts';
+const XAPI_RETAINED_SCORE = 'https://h5p.org/x-api/retained-score';
+const XAPI_HINTS_USED = 'https://h5p.org/x-api/hints-used';
+
+/**
+ * Version of the state format. Version 1 (no version number) stored option indexes,
+ * version 2 stores option keys, so states survive options being added, removed or moved.
+ */
+const STATE_VERSION = 2;
 
 /**
  * Packs the current state of the users interactivity into a serializable object.
  *
- * @param {Number[]} selectedIndexes Array of indexes of selected options
+ * @param {String[]} selectedKeys Array of keys of selected options
+ * @param {String[]} [optionOrder] Array of option keys in the order they are displayed
+ * @param {object} [progress] Progress of the task
+ * @param {boolean} [progress.checked] True if the answer has been checked
+ * @param {boolean} [progress.solutionsShown] True if the solutions have been shown
+ * @param {number} [progress.attempts] Number of times the answer has been checked
+ * @param {number|null} [progress.retainedScore] Score kept from the attempts so far
+ * @param {number} [progress.hintsUsed] Number of hints used in the current attempt
+ * @param {String[]} [progress.eliminated] Keys of the options ruled out by hints
+ * @param {String[]} [progress.unlocked] Keys of the options unlocked by playing their media
  */
-export function getCurrentState(selectedIndexes) {
-  return { answers: selectedIndexes };
+export function getCurrentState(selectedKeys, optionOrder, progress = {}) {
+  const state = { version: STATE_VERSION, answers: selectedKeys, ...progress };
+  if (optionOrder) {
+    state.order = optionOrder;
+  }
+  return state;
+}
+
+/**
+ * Migrates a previous state to the current format.
+ * Entries that do not match any of the current options are dropped.
+ *
+ * @param {object} [previousState] State saved by getCurrentState, possibly by an older version
+ * @param {String[]} optionKeys Keys of the current options in the order set by the author
+ * @returns {object} State with answers, order and eliminated options given as option keys
+ */
+export function migrateState(previousState, optionKeys) {
+  if (!previousState || typeof previousState !== 'object') {
+    return { answers: [], eliminated: [], unlocked: [] };
+  }
+
+  let { answers, order } = previousState;
+
+  // Version 1 stored indexes of the options in the order set by the author
+  if (!previousState.version) {
+    const indexToKey = (index) => optionKeys[index];
+    answers = Array.isArray(answers) ? answers.map(indexToKey) : [];
+    order = Array.isArray(order) ? order.map(indexToKey) : undefined;
+  }
+
+  const isKnownKey = (key) => optionKeys.includes(key);
+  return {
+    answers: Array.isArray(answers) ? answers.filter(isKnownKey) : [],
+    order: Array.isArray(order) ? [...new Set(order.filter(isKnownKey))] : undefined,
+    eliminated: Array.isArray(previousState.eliminated)
+      ? previousState.eliminated.filter(isKnownKey)
+      : [],
+    unlocked: Array.isArray(previousState.unlocked)
+      ? previousState.unlocked.filter(isKnownKey)
+      : [],
+  };
 }
 
 /**
@@ -18,9 +79,15 @@ export function getCurrentState(selectedIndexes) {
  * @param {number} score Score given for answering the question
  * @param {number} maxScore Maximum possible score that can be achieved for the question
  * @param {boolean} success True if the task was passed according to passPercentage
+ * @param {number} duration Time spent answering in seconds
+ * @param {object} [progress] Attempts and hints, see getAnsweredXAPIEvent
  */
-export function getXAPIData(app, question, options, score, maxScore, success) {
-  const xAPIEvent = getAnsweredXAPIEvent(app, question, options, score, maxScore, success);
+export function getXAPIData(
+  app, question, options, score, maxScore, success, duration, progress,
+) {
+  const xAPIEvent = getAnsweredXAPIEvent(
+    app, question, options, score, maxScore, success, duration, progress,
+  );
   return { statement: xAPIEvent.data.statement };
 }
 
@@ -33,13 +100,73 @@ export function getXAPIData(app, question, options, score, maxScore, success) {
  * @param {number} score Score given for answering the question
  * @param {number} maxScore Maximum possible score that can be achieved for the question
  * @param {boolean} success True if the task was passed according to passPercentage
+ * @param {number} duration Time spent answering in seconds
+ * @param {object} [progress] Attempts and hints
+ * @param {number} [progress.attempts] Number of times the answer has been checked
+ * @param {number|null} [progress.retainedScore] Score kept from the attempts so far
+ * @param {number} [progress.hintsUsed] Number of hints used in the current attempt
  */
-export function getAnsweredXAPIEvent(app, question, options, score, maxScore, success) {
+export function getAnsweredXAPIEvent(
+  app, question, options, score, maxScore, success, duration, progress = {},
+) {
   const xAPIEvent = app.createXAPIEventTemplate('answered');
 
   addQuestionToXAPI(xAPIEvent, options, question);
   xAPIEvent.setScoredResult(score, maxScore, app, true, success);
+  xAPIEvent.data.statement.result.duration = toISO8601Duration(duration);
   addResponseToXAPI(xAPIEvent, options);
+  addMediaConsumptionToXAPI(xAPIEvent, options);
+  addProgressToXAPI(xAPIEvent, progress);
+  return xAPIEvent;
+}
+
+/**
+ * Generates an xAPI event for the audio or video of an option being played.
+ *
+ * @param {object} app Multi media choice object
+ * @param {object} option Option whose media was played
+ * @param {string} verb Either 'progressed' or 'experienced'
+ */
+export function getMediaXAPIEvent(app, option, verb) {
+  const xAPIEvent = app.createXAPIEventTemplate(verb);
+  const { statement } = xAPIEvent.data;
+  const { watchedTime, duration, progress, completed } = option.getMediaProgress();
+
+  // The task becomes the parent, so the task's own parent, e.g. a Question Set, is kept as grouping
+  statement.context = statement.context || {};
+  const { parent = [], grouping = [], ...contextActivities } = statement.context.contextActivities || {};
+  statement.context.contextActivities = {
+    ...contextActivities,
+    parent: [{ id: statement.object.id, objectType: 'Activity' }],
+    ...((parent.length || grouping.length) && { grouping: [...grouping, ...parent] }),
+  };
+  statement.context.extensions = {
+    ...statement.context.extensions,
+    [XAPI_VIDEO_LENGTH]: duration,
+  };
+
+  statement.object = {
+    id: xAPIEvent.getContentXAPIId({ contentId: app.contentId, subContentId: option.getKey() }),
+    objectType: 'Activity',
+    definition: {
+      name: {
+        'en-US': htmlDecode(option.getDescription() || ''),
+      },
+      type: 'http://adlnet.gov/expapi/activities/media',
+      extensions: {
+        'http://h5p.org/x-api/h5p-subContentId': option.getKey(),
+      },
+    },
+  };
+
+  statement.result = {
+    duration: toISO8601Duration(watchedTime),
+    completion: completed,
+    extensions: {
+      [XAPI_VIDEO_PROGRESS]: Math.round(progress * 1000) / 1000,
+    },
+  };
+
   return xAPIEvent;
 }
 
@@ -69,10 +196,10 @@ function addQuestionToXAPI(xAPIEvent, options, question) {
  * @param {object[]} options Array containing the option objects
  */
 function addResponseToXAPI(xAPIEvent, options) {
-  xAPIEvent.data.statement.result.response = options
-    .flatMap((option, index) => {
+  xAPIEvent.data.statement.result.response = sortByIndex(options)
+    .flatMap((option) => {
       if (option.isSelected()) {
-        return index;
+        return option.getIndex();
       }
       return [];
     })
@@ -80,6 +207,56 @@ function addResponseToXAPI(xAPIEvent, options) {
     .replaceAll(',', '[,]'); // [,] is the deliminator used when multiple answers are corect
 }
 
+/**
+ * Adds how much of the options' audio and video was played before answering
+ *
+ * @param {H5P.XAPIEvent} xAPIEvent to add the media consumption to
+ * @param {object[]} options Array containing the option objects
+ */
+function addMediaConsumptionToXAPI(xAPIEvent, options) {
+  const mediaProgress = options
+    .map((option) => option.getMediaProgress())
+    .filter((progress) => progress);
+
+  if (!mediaProgress.length) {
+    return;
+  }
+
+  const { result } = xAPIEvent.data.statement;
+  result.extensions = {
+    ...result.extensions,
+    [XAPI_MEDIA_CONSUMED]: {
+      total: mediaProgress.length,
+      played: mediaProgress.filter((progress) => progress.played).length,
+      completed: mediaProgress.filter((progress) => progress.completed).length,
+    },
+  };
+}
+
+/**
+ * Adds the number of attempts, the score kept from them and the hints used
+ *
+ * @param {H5P.XAPIEvent} xAPIEvent to add the progress to
+ * @param {object} progress Attempts and hints
+ * @param {number} [progress.attempts] Number of times the answer has been checked
+ * @param {number|null} [progress.retainedScore] Score kept from the attempts so far
+ * @param {number} [progress.hintsUsed] Number of hints used in the current attempt
+ */
+function addProgressToXAPI(xAPIEvent, { attempts, retainedScore, hintsUsed }) {
+  const { result } = xAPIEvent.data.statement;
+  result.extensions = { ...result.extensions };
+
+  if (Number.isInteger(attempts)) {
+    result.extensions[XAPI_ATTEMPTS] = attempts;
+  }
+  if (Number.isFinite(retainedScore)) {
+    result.extensions[XAPI_RETAINED_SCORE] = retainedScore;
+  }
+  if (Number.isInteger(hintsUsed)) {
+    result.extensions[XAPI_HINTS_USED] = hintsUsed;
+  }
+}
+
 /**
  * Creates a list of choice objects with id and description
  *
@@ -87,8 +264,8 @@ function addResponseToXAPI(xAPIEvent, options) {
  * @returns {object[]} List of options the player could choose from
  */
 function getChoices(options) {
-  return options.map((option, index) => ({
-    id: index.toString(),
+  return sortByIndex(options).map((option) => ({
+    id: option.getIndex().toString(),
     description: {
       'en-US': htmlDecode(option.getDescription()),
     },
@@ -102,13 +279,23 @@ function getChoices(options) {
  * @returns {String[]} Correct response patterns for the task
  */
 function getCorrectOptions(options) {
-  return options
-    .flatMap((option, index) => {
+  return sortByIndex(options)
+    .flatMap((option) => {
       if (option.isCorrect()) {
-        return index;
+        return option.getIndex();
       }
       return [];
     })
     .toString()
     .replaceAll(',', '[,]'); // [,] is the deliminator used when multiple answers are corect
 }
+
+/**
+ * Sorts options by the order set by the author, regardless of display order
+ *
+ * @param {object[]} options Array containing the option objects
+ * @returns {object[]} New array with the options in the original order
+ */
+function sortByIndex(options) {
+  return [...options].sort((a, b) => a.getIndex() - b.getIndex());
+}
@@ -1,6 +1,10 @@
 import MultiMediaChoiceContent from './h5p-multi-media-choice-content.js';
-import { createElement, Util } from './h5p-multi-media-choice-util.js';
-import { getCurrentState, getXAPIData, getAnsweredXAPIEvent } from './h5p-multi-media-choice-xapi.js';
+import Timer from './h5p-multi-media-choice-timer.js';
+import { applyHintPenalty } from './h5p-multi-media-choice-scoring.js';
+import { createElement, htmlDecode, Util } from './h5p-multi-media-choice-util.js';
+import {
+  getCurrentState, getXAPIData, getAnsweredXAPIEvent, getMediaXAPIEvent,
+} from './h5p-multi-media-choice-xapi.js';
 
 /**
  * Class for H5P Multi Media Choice.
@@ -17,7 +21,17 @@ export default class MultiMediaChoice extends H5P.Question {
 
     this.contentId = contentId;
     this.extras = extras;
-    this.answerState = extras.previousState?.answers ? extras.previousState.answers : [];
+    this.previousState = extras.previousState ?? {};
+
+    this.isChecked = false;
+    this.isSolutionShown = false;
+    this.attempts = Number.isInteger(this.previousState.attempts) ? this.previousState.attempts : 0;
+    this.retainedScore = Number.isFinite(this.previousState.retainedScore)
+      ? this.previousState.retainedScore
+      : null;
+    this.hintsUsed = Number.isInteger(this.previousState.hintsUsed) ? this.previousState.hintsUsed : 0;
+    this.startTime = Date.now();
+    this.answerDuration = null;
 
     // Default values are extended
     this.params = Util.extendParams(params);
@@ -41,10 +55,49 @@ export default class MultiMediaChoice extends H5P.Question {
         triggerInteracted: () => {
           this.triggerXAPI('interacted');
         },
+        read: (text) => {
+          this.handleRead(text);
+        },
+        onSelectionsChanged: () => {
+          this.updateCheckButton();
+          this.updateHintButton();
+        },
+        onMediaProgressed: (option) => {
+          this.trigger(getMediaXAPIEvent(this, option, 'progressed'));
+        },
+        onMediaCompleted: (option) => {
+          this.trigger(getMediaXAPIEvent(this, option, 'experienced'));
+        },
+        onVideoModalOpened: () => {
+          if (this.params.behaviour.pauseTimerDuringVideo) {
+            this.timer?.pause();
+          }
+        },
+        onVideoModalClosed: () => {
+          this.timer?.resume();
+        },
+        onCheckShortcut: () => {
+          this.handleCheckShortcut();
+        },
       },
-      this.answerState,
+      this.previousState,
     );
 
+    if (this.params.behaviour.timeLimit > 0) {
+      this.timer = new Timer(this.params.behaviour.timeLimit, this.params.l10n, {
+        onExpired: () => {
+          this.handleTimeExpired();
+        },
+        read: (text) => {
+          this.handleRead(text);
+        },
+      });
+
+      if (Number.isFinite(this.previousState.timeRemaining)) {
+        this.timer.reset(this.previousState.timeRemaining);
+      }
+    }
+
     this.registerDomElements = () => {
       // Register task media
       if (this.params.media && this.params.media.type && this.params.media.type.library) {
@@ -84,17 +137,32 @@ export default class MultiMediaChoice extends H5P.Question {
 
       this.content.setMultiMediaOptionsPlaceholder();
       this.setContent(this.content.getDOM()); // Register content with H5P.Question
+      if (this.timer) {
+        this.content.getDOM().prepend(this.timer.getDOM());
+      }
       this.addButtons();
+      this.updateCheckButton();
+      this.restoreProgress();
+      this.startTimerWhenVisible();
 
-      this.on('resize', () => this.content.setColumnProperties());
+      // Without ResizeObserver, the options are laid out whenever H5P resizes
+      if (!this.content.observeLayout()) {
+        this.on('resize', () => this.content.setColumnProperties());
+      }
     };
 
     /**
-     * Get latest score
+     * Get latest score, or the best score of all attempts if the best score is kept
      * @return {number} latest score
      * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-2}
      */
-    this.getScore = () => this.content.getScore();
+    this.getScore = () => {
+      const score = this.getAttemptScore();
+      if (this.params.behaviour.scorePolicy === 'best' && this.retainedScore !== null) {
+        return Math.max(score, this.retainedScore);
+      }
+      return score;
+    };
 
     /**
      * Get maximum possible score
@@ -119,8 +187,10 @@ export default class MultiMediaChoice extends H5P.Question {
      */
     this.checkAnswer = (params = {}) => {
       this.content.disableSelectables();
+      this.isChecked = true;
+      this.timer?.stop();
 
-      const score = this.getScore();
+      const score = this.getAttemptScore(); // Feedback is given for this attempt only
       const maxScore = this.getMaxScore();
       const textScore = H5P.Question.determineOverallFeedback(
         this.params.overallFeedback,
@@ -129,19 +199,26 @@ export default class MultiMediaChoice extends H5P.Question {
 
       this.setFeedback(textScore, score, maxScore, this.params.l10n.result);
 
-      if (this.params.behaviour.enableSolutionsButton && score !== maxScore) {
+      // The score may be reduced by hints, so correctness is decided from the unpenalized score
+      const isFullyCorrect = this.content.getScore() === this.content.getMaxScore();
+
+      if (this.params.behaviour.enableSolutionsButton && !isFullyCorrect) {
         this.showButton('show-solution');
       }
 
-      if (this.params.behaviour.enableRetry && score !== maxScore) {
+      if (this.params.behaviour.enableRetry && !isFullyCorrect) {
         this.showButton('try-again');
       }
 
       this.hideButton('check-answer');
+      this.hideButton('hint');
 
       this.content.showSelectedSolutions();
 
       if (!params.skipXAPI) {
+        this.attempts++;
+        this.retainedScore = this.getScore();
+        this.answerDuration = this.getDuration();
         this.trigger(
           getAnsweredXAPIEvent(
             this,
@@ -149,10 +226,28 @@ export default class MultiMediaChoice extends H5P.Question {
             this.content.getOptions(),
             this.getScore(),
             this.getMaxScore(),
-            this.content.isPassed(),
+            this.content.isPassed(this.getScore()),
+            this.answerDuration,
+            {
+              attempts: this.attempts,
+              retainedScore: this.retainedScore,
+              hintsUsed: this.hintsUsed,
+            },
           ),
         );
       }
+
+      if (this.hasNoAttemptsLeft()) {
+        this.hideButton('try-again');
+        if (!isFullyCorrect) {
+          this.hideButton('show-solution');
+          this.isSolutionShown = true;
+          this.content.showUnselectedSolutions();
+          if (!params.skipXAPI) {
+            this.handleRead(this.params.l10n.noAttemptsLeft);
+          }
+        }
+      }
     };
 
     /**
@@ -164,8 +259,10 @@ export default class MultiMediaChoice extends H5P.Question {
     this.showSolutions = (shouldRespectRequireInputFlag = false) => {
       this.hideButton('check-answer');
       this.hideButton('show-solution');
+      this.hideButton('hint');
 
       const showSolutions = () => {
+        this.isSolutionShown = true;
         this.content.showSelectedSolutions();
         this.content.showUnselectedSolutions();
         this.content.focusUnselectedSolution();
@@ -202,12 +299,24 @@ export default class MultiMediaChoice extends H5P.Question {
      * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-5}
      */
     this.resetTask = () => {
+      this.isChecked = false;
+      this.isSolutionShown = false;
+      this.hintsUsed = 0;
       this.content.resetSelections();
       this.showButton('check-answer');
       this.hideButton('try-again');
       this.hideButton('show-solution');
       this.content.hideSolutions();
       this.removeFeedback();
+
+      this.updateHintButton();
+
+      this.startTime = Date.now();
+      this.answerDuration = null;
+      if (this.timer) {
+        this.timer.reset();
+        this.timer.start();
+      }
     };
 
     /**
@@ -232,7 +341,11 @@ export default class MultiMediaChoice extends H5P.Question {
           this.checkAnswer();
         },
         true,
-        { 'aria-label': this.params.l10n.checkAnswer },
+        {
+          'aria-label': this.params.l10n.checkAnswer,
+          ...(this.params.behaviour.enableKeyboardShortcuts && this.params.behaviour.checkAnswerKey
+            && { 'aria-keyshortcuts': this.params.behaviour.checkAnswerKey }),
+        },
         {
           confirmationDialog: {
             enable: this.params.behaviour.confirmCheckDialog,
@@ -245,6 +358,22 @@ export default class MultiMediaChoice extends H5P.Question {
         },
       );
     }
+    if (this.params.behaviour.hintType !== 'none') {
+      this.addButton(
+        'hint',
+        this.params.l10n.hintButtonText,
+        () => {
+          this.useHint();
+        },
+        false,
+        { 'aria-label': this.params.l10n.hint },
+        {
+          styleType: 'secondary',
+        },
+      );
+      this.updateHintButton();
+    }
+
     this.addButton(
       'show-solution',
       this.params.l10n.showSolutionButtonText,
@@ -279,13 +408,196 @@ export default class MultiMediaChoice extends H5P.Question {
     );
   }
 
+  /**
+   * Restore the checked answer and shown solutions when resuming
+   */
+  restoreProgress() {
+    if (!this.previousState.checked) {
+      if (this.hintsUsed && this.params.behaviour.hintType === 'text') {
+        this.updateFeedbackContent(this.params.hint);
+      }
+      return;
+    }
+
+    this.checkAnswer({ skipXAPI: true });
+
+    if (this.previousState.solutionsShown) {
+      this.isSolutionShown = true;
+      this.hideButton('show-solution');
+      this.content.showUnselectedSolutions();
+    }
+  }
+
+  /**
+   * Start the countdown once the options are scrolled into view,
+   * so the learner gets the full time even if the task starts further down the page
+   */
+  startTimerWhenVisible() {
+    if (!this.timer || this.isChecked) {
+      return;
+    }
+
+    const start = () => {
+      if (this.isChecked) {
+        return;
+      }
+      if (this.timer.getTimeRemaining() === 0) {
+        this.handleTimeExpired(); // Time ran out before the task was resumed
+        return;
+      }
+      this.timer.start();
+    };
+
+    if (!window.IntersectionObserver) {
+      start();
+      return;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        observer.disconnect();
+        start();
+      }
+    });
+    observer.observe(this.content.getDOM());
+  }
+
+  /**
+   * Check the answer when the time limit is reached
+   */
+  handleTimeExpired() {
+    if (this.isChecked) {
+      return;
+    }
+
+    this.checkAnswer();
+    this.handleRead(this.params.l10n.timeUp);
+  }
+
+  /**
+   * Press the check button when the check shortcut key is pressed, if the button could be used.
+   * The button is clicked, so its confirmation dialog and submit handling still apply.
+   */
+  handleCheckShortcut() {
+    if (!this.hasButton('check-answer') || this.isChecked || !this.content.hasEnoughSelections()) {
+      return;
+    }
+
+    const checkButton = this.content.getDOM().closest('.h5p-question')
+      ?.querySelector('.h5p-question-check-answer');
+    if (checkButton) {
+      checkButton.click();
+    }
+    else if (!this.params.behaviour.confirmCheckDialog) {
+      this.checkAnswer();
+    }
+  }
+
+  /**
+   * Show the author's hint or rule out an incorrect option
+   */
+  useHint() {
+    if (this.params.behaviour.hintType === 'eliminate') {
+      const option = this.content.eliminateOption();
+      if (!option) {
+        return;
+      }
+      this.handleRead(
+        this.params.l10n.optionEliminated.replace('@option', option.getDescription() || ''),
+      );
+    }
+    else {
+      this.updateFeedbackContent(this.params.hint);
+      this.handleRead(htmlDecode(this.params.hint));
+    }
+
+    this.hintsUsed++;
+    this.updateHintButton();
+    this.trigger('resize');
+  }
+
+  /**
+   * Show the hint button only while the learner can still use a hint
+   */
+  updateHintButton() {
+    if (!this.content || !this.hasButton('hint')) {
+      return; // Content or buttons are not built yet
+    }
+
+    const isHintAvailable = this.params.behaviour.hintType === 'eliminate'
+      ? this.content.getEliminableOptions().length > 0
+      : !!this.params.hint && this.hintsUsed === 0;
+
+    if (isHintAvailable && !this.isChecked) {
+      this.showButton('hint');
+    }
+    else {
+      this.hideButton('hint');
+    }
+  }
+
+  /**
+   * Get the score of the current attempt, lowered by the penalty for hints
+   * @returns {number} Score of the current attempt
+   */
+  getAttemptScore() {
+    return applyHintPenalty(
+      this.content.getScore(),
+      this.getMaxScore(),
+      this.hintsUsed,
+      this.params.behaviour.hintPenalty,
+    );
+  }
+
+  /**
+   * Check whether the learner has used all attempts
+   * @returns {boolean} True if the number of attempts is limited and reached
+   */
+  hasNoAttemptsLeft() {
+    const { maxAttempts } = this.params.behaviour;
+    return maxAttempts > 0 && this.attempts >= maxAttempts;
+  }
+
+  /**
+   * Get the time spent on the current attempt
+   * @returns {number} Time in seconds
+   */
+  getDuration() {
+    return (Date.now() - this.startTime) / 1000;
+  }
+
+  /**
+   * Enable the check button only when enough options are selected
+   */
+  updateCheckButton() {
+    if (!this.content || !this.hasButton('check-answer')) {
+      return; // Content or buttons are not built yet
+    }
+
+    if (this.content.hasEnoughSelections()) {
+      this.enableButton('check-answer');
+    }
+    else {
+      this.disableButton('check-answer');
+    }
+  }
+
   /**
    * Packs the current state of the users interactivity into a
    * serializable object.
    * @public
    */
   getCurrentState() {
-    return getCurrentState(this.content.getSelectedIndexes());
+    return getCurrentState(this.content.getSelectedKeys(), this.content.getOptionOrder(), {
+      checked: this.isChecked,
+      solutionsShown: this.isSolutionShown,
+      attempts: this.attempts,
+      retainedScore: this.retainedScore,
+      hintsUsed: this.hintsUsed,
+      eliminated: this.content.getEliminatedKeys(),
+      unlocked: this.content.getUnlockedKeys(),
+      ...(this.timer && { timeRemaining: this.timer.getTimeRemaining() }),
+    });
   }
 
   /**
@@ -299,7 +611,13 @@ export default class MultiMediaChoice extends H5P.Question {
       this.content.getOptions(),
       this.getScore(),
       this.getMaxScore(),
-      this.content.isPassed(),
+      this.content.isPassed(this.getScore()),
+      this.answerDuration ?? this.getDuration(),
+      {
+        attempts: this.attempts,
+        retainedScore: this.retainedScore,
+        hintsUsed: this.hintsUsed,
+      },
     );
   }
 